@@ -16,8 +16,9 @@ export default class AIBrain {
         this.speed = speed;
     }
     
-    // Main decision-making function with tier-based priority system
-    decideNextMove(currentPos, visited, visitCounts, maze, start, finish, lastDirection, allPlayers, currentPlayerIndex) {
+    // Main decision-making function with tier-based priority system.
+    // `random` returns floats in [0, 1); pass a seeded one (see Random) to make decisions repeatable.
+    decideNextMove(currentPos, visited, visitCounts, maze, entrances, exits, lastDirection, allPlayers, currentPlayerIndex, random = Math.random) {
         let possibleMoves = this.getPossibleMoves(currentPos, maze);
         
         if (possibleMoves.length === 0) {
@@ -57,7 +58,7 @@ export default class AIBrain {
             
             // Filter blocks by applicability (using current narrowed-down moves)
             const applicableBlocks = tier.blocks.filter(block => 
-                this.isBlockApplicable(block, currentPos, visited, maze, finish, lastDirection, allPlayers, currentPlayerIndex, visitCounts, currentMoves)
+                this.isBlockApplicable(block, currentPos, visited, maze, exits, lastDirection, allPlayers, currentPlayerIndex, visitCounts, currentMoves)
             );
             
             if (applicableBlocks.length === 0) {
@@ -68,12 +69,12 @@ export default class AIBrain {
             const totalWeight = applicableBlocks.reduce((sum, block) => sum + block.weight, 0);
             
             // Randomly select a block based on relative weights
-            let random = Math.random() * totalWeight;
+            let roll = random() * totalWeight;
             let selectedBlock = null;
             
             for (const block of applicableBlocks) {
-                random -= block.weight;
-                if (random <= 0) {
+                roll -= block.weight;
+                if (roll <= 0) {
                     selectedBlock = block;
                     break;
                 }
@@ -81,7 +82,7 @@ export default class AIBrain {
             
             // If we selected a block, execute its logic
             if (selectedBlock) {
-                const result = this.executeBlock(selectedBlock, currentPos, currentMoves, visited, visitCounts, maze, finish, lastDirection, allPlayers, currentPlayerIndex);
+                const result = this.executeBlock(selectedBlock, currentPos, currentMoves, visited, visitCounts, maze, exits, lastDirection, allPlayers, currentPlayerIndex);
                 
                 if (result.moves && result.moves.length > 0) {
                     // Add emote to our collection
@@ -102,7 +103,7 @@ export default class AIBrain {
         }
         
         // If we still have multiple moves after all tiers, pick randomly
-        const finalMove = currentMoves[Math.floor(Math.random() * currentMoves.length)];
+        const finalMove = currentMoves[Math.floor(random() * currentMoves.length)];
         
         // Only add dice emoji if we have no other emotes
         if (emotes.length === 0) {
@@ -128,7 +129,7 @@ export default class AIBrain {
     }
     
     // Check if a logic block is applicable to the current situation
-    isBlockApplicable(block, currentPos, visited, maze, finish, lastDirection, allPlayers, currentPlayerIndex, visitCounts, possibleMoves) {
+    isBlockApplicable(block, currentPos, visited, maze, exits, lastDirection, allPlayers, currentPlayerIndex, visitCounts, possibleMoves) {
         switch (block.type) {
             case 'wallFollowing':
             case 'rightWall':
@@ -136,12 +137,13 @@ export default class AIBrain {
                 return lastDirection !== null;
             
             case 'lineOfSight':
-                // Applicable if finish is visible OR uncharted territory is visible
-                return this.isFinishVisible(currentPos, finish, maze) || 
+                // Applicable if an exit is visible OR uncharted territory is visible
+                return this.getVisibleExit(currentPos, exits, maze) !== null || 
                        this.hasUnchartedTerritory(currentPos, maze, visited, possibleMoves);
             
             case 'towardExit':
-                // Applicable if we have a finish position AND at least one move gets us closer than current
+                // Applicable if there's an exit AND at least one move gets us closer to the nearest one
+                const finish = this.getNearestExit(currentPos, exits);
                 if (!finish) return false;
                 
                 // Calculate current position's distance to exit
@@ -173,9 +175,8 @@ export default class AIBrain {
                 return minDist < maxDist || closerMoves.length === 1; // True if distances vary OR only one closer move
             
             case 'checkMap':
-                // Applicable if there's a finish position and a path exists
-                if (!finish) return false;
-                const shortestPath = this.findShortestPath(currentPos, finish, maze);
+                // Applicable if a path to any exit exists
+                const shortestPath = this.findShortestPath(currentPos, exits, maze);
                 return shortestPath !== null && shortestPath.length > 1;
             
             case 'backtracking':
@@ -206,7 +207,7 @@ export default class AIBrain {
     }
     
     // Execute a logic block's decision-making
-    executeBlock(block, currentPos, possibleMoves, visited, visitCounts, maze, finish, lastDirection, allPlayers, currentPlayerIndex) {
+    executeBlock(block, currentPos, possibleMoves, visited, visitCounts, maze, exits, lastDirection, allPlayers, currentPlayerIndex) {
         switch (block.type) {
             case 'wallFollowing':
                 return this.wallFollowingLogic(possibleMoves, lastDirection, block.mode || 'right');
@@ -214,13 +215,13 @@ export default class AIBrain {
                 return this.rightWallLogic(possibleMoves, lastDirection);
             
             case 'lineOfSight':
-                return this.lineOfSightLogic(possibleMoves, currentPos, finish, maze, visited);
+                return this.lineOfSightLogic(possibleMoves, currentPos, exits, maze, visited);
             
             case 'towardExit':
-                return this.towardExitLogic(possibleMoves, currentPos, finish);
+                return this.towardExitLogic(possibleMoves, currentPos, exits);
             
             case 'checkMap':
-                return this.checkMapLogic(possibleMoves, currentPos, finish, maze);
+                return this.checkMapLogic(possibleMoves, currentPos, exits, maze);
             
             case 'backtracking':
                 return this.backtrackingLogic(possibleMoves, visited, visitCounts, block.mode || 'avoid');
@@ -260,9 +261,10 @@ export default class AIBrain {
     }
     
     // Line of Sight Logic
-    lineOfSightLogic(possibleMoves, currentPos, finish, maze, visited) {
-        // First priority: head toward visible finish
-        if (finish && this.isFinishVisible(currentPos, finish, maze)) {
+    lineOfSightLogic(possibleMoves, currentPos, exits, maze, visited) {
+        // First priority: head toward a visible exit
+        const finish = this.getVisibleExit(currentPos, exits, maze);
+        if (finish) {
             const towardFinish = possibleMoves.filter(move => {
                 return (move.direction === 'up' && finish.y < currentPos.y) ||
                        (move.direction === 'down' && finish.y > currentPos.y) ||
@@ -293,7 +295,9 @@ export default class AIBrain {
     }
     
     // Toward Exit Logic
-    towardExitLogic(possibleMoves, currentPos, finish) {
+    towardExitLogic(possibleMoves, currentPos, exits) {
+        // Aim for whichever exit is closest as the crow flies
+        const finish = this.getNearestExit(currentPos, exits);
         if (!finish) {
             return { moves: possibleMoves, thought: null };
         }
@@ -336,13 +340,9 @@ export default class AIBrain {
     }
     
     // Check Map Logic - follows shortest path with perfect knowledge
-    checkMapLogic(possibleMoves, currentPos, finish, maze) {
-        if (!finish) {
-            return { moves: possibleMoves, thought: null };
-        }
-        
-        // Find shortest path from current position to finish
-        const shortestPath = this.findShortestPath(currentPos, finish, maze);
+    checkMapLogic(possibleMoves, currentPos, exits, maze) {
+        // Find shortest path from current position to the nearest exit by walking distance
+        const shortestPath = this.findShortestPath(currentPos, exits, maze);
         
         if (!shortestPath || shortestPath.length <= 1) {
             return { moves: possibleMoves, thought: null };
@@ -441,6 +441,27 @@ export default class AIBrain {
         return false;
     }
     
+    // Helper: First exit in a straight, unobstructed line from the current position (or null)
+    getVisibleExit(currentPos, exits, maze) {
+        return exits.find(exit => this.isFinishVisible(currentPos, exit, maze)) || null;
+    }
+    
+    // Helper: Exit with the smallest straight-line distance (or null if there are none)
+    getNearestExit(currentPos, exits) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        for (const exit of exits) {
+            const dx = exit.x - currentPos.x;
+            const dy = exit.y - currentPos.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance < nearestDistance) {
+                nearest = exit;
+                nearestDistance = distance;
+            }
+        }
+        return nearest;
+    }
+    
     // Helper: Check if uncharted territory is visible
     hasUnchartedTerritory(currentPos, maze, visited, possibleMoves) {
         for (const move of possibleMoves) {
@@ -546,6 +567,64 @@ export default class AIBrain {
         return count;
     }
     
+    // Scared response: how to react to the nearest haunt in plain sight (or null if none is visible).
+    // Returns { haunt, reaction, moves }, where reaction comes from the haunt ('flee', 'freeze' or
+    // 'scream') and moves lead away from every visible haunt - turning back is allowed. With nowhere
+    // to run, a fleeing visitor freezes instead.
+    reactToHaunts(currentPos, maze, haunts) {
+        const seen = this.getVisibleHaunts(currentPos, maze, haunts);
+        if (seen.length === 0) {
+            return null;
+        }
+        
+        const scaryDirections = new Set(seen.map(sighting => sighting.direction));
+        const moves = this.getPossibleMoves(currentPos, maze).filter(move => !scaryDirections.has(move.direction));
+        const { haunt } = seen[0];
+        const reaction = moves.length === 0 ? 'freeze' : haunt.reaction;
+        
+        return { haunt, reaction, moves };
+    }
+    
+    // Helper: Haunts in a straight, unobstructed line (or on the same cell), nearest first.
+    // Each sighting is { haunt, direction, distance }; direction is null on the same cell.
+    getVisibleHaunts(currentPos, maze, haunts) {
+        if (!haunts || haunts.length === 0) {
+            return [];
+        }
+        
+        const directionDeltas = {
+            'up': { dx: 0, dy: -1 },
+            'down': { dx: 0, dy: 1 },
+            'left': { dx: -1, dy: 0 },
+            'right': { dx: 1, dy: 0 }
+        };
+        
+        const sightings = haunts
+            .filter(haunt => haunt.position.x === currentPos.x && haunt.position.y === currentPos.y)
+            .map(haunt => ({ haunt, direction: null, distance: 0 }));
+        
+        for (const [direction, delta] of Object.entries(directionDeltas)) {
+            for (let distance = 1; distance <= 7; distance++) {
+                const checkX = currentPos.x + delta.dx * distance;
+                const checkY = currentPos.y + delta.dy * distance;
+                
+                if (checkX < 0 || checkX >= maze.width ||
+                    checkY < 0 || checkY >= maze.height ||
+                    maze.grid[checkY][checkX] !== 1) {
+                    break;
+                }
+                
+                haunts.forEach(haunt => {
+                    if (haunt.position.x === checkX && haunt.position.y === checkY) {
+                        sightings.push({ haunt, direction, distance });
+                    }
+                });
+            }
+        }
+        
+        return sightings.sort((a, b) => a.distance - b.distance);
+    }
+    
     getPossibleMoves(pos, maze) {
         const directions = [
             { x: 0, y: -1, name: 'up' },
@@ -572,9 +651,9 @@ export default class AIBrain {
         return moves;
     }
     
-    // Find shortest path using BFS (for Check Map logic)
-    findShortestPath(start, finish, maze) {
-        if (!start || !finish) return null;
+    // Find shortest path to the closest of several targets using BFS (for Check Map logic)
+    findShortestPath(start, targets, maze) {
+        if (!start || targets.length === 0) return null;
         
         // BFS to find shortest path
         const queue = [[start.x, start.y]];
@@ -587,7 +666,7 @@ export default class AIBrain {
         while (queue.length > 0) {
             const [x, y] = queue.shift();
             
-            if (x === finish.x && y === finish.y) {
+            if (targets.some(target => target.x === x && target.y === y)) {
                 // Reconstruct path
                 const path = [];
                 let current = `${x},${y}`;
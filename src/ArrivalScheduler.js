@@ -0,0 +1,79 @@
+// ArrivalScheduler.js - Opening hours: when visitors turn up at the gate, and what kind they are
+//
+// DOM-free. While the gates are open the game calls tick() with the simulated time that
+// passed (as a fraction of an in-game day, see Economy), the time of day and the number of
+// visitors in the maze, and gets back how many new visitors arrive. Arrivals follow a curve
+// over the day:
+//   steady   the same all day
+//   rush     quiet, with a morning and a late-afternoon rush
+//   weekend  a midday crowd, much bigger on weekends (days 6 and 7 of every week)
+// `rate` is the number of arrivals in a day at the curve's normal level. Nobody gets in
+// while the maze is at capacity, and the crowd doesn't build up at the gate meanwhile.
+
+import VisitorArchetypes from './VisitorArchetypes.js';
+
+// Bell-shaped bump of height 1 centred on `center`
+const bump = (t, center, width) => Math.exp(-((t - center) ** 2) / (2 * width * width));
+const isWeekend = (day) => (day - 1) % 7 >= 5;
+
+const CURVES = {
+    steady: { label: 'Steady', level: () => 1 },
+    rush: { label: 'Rush hour', level: (t) => 0.3 + 1.6 * (bump(t, 0.25, 0.07) + bump(t, 0.7, 0.08)) },
+    weekend: { label: 'Weekend peak', level: (t, day) => (isWeekend(day) ? 2 : 0.6) * (0.3 + 1.4 * bump(t, 0.5, 0.15)) }
+};
+
+export default class ArrivalScheduler {
+    constructor(options = {}) {
+        this.curve = CURVES[options.curve] ? options.curve : 'steady';
+        this.rate = options.rate ?? 30; // Arrivals per in-game day at the curve's normal level
+        this.capacity = options.capacity ?? 40; // Most visitors in the maze at once
+        this.weights = { ...VisitorArchetypes.getDefaultWeights(), ...options.weights }; // Archetype id -> weight
+        this.isOpen = false;
+        this.due = 0; // Fractional arrivals building up between ticks
+    }
+    
+    static getCurves() {
+        return Object.entries(CURVES).map(([id, curve]) => ({ id, label: curve.label }));
+    }
+    
+    // Arrival level at a time of day (0-1) on a given day; 1 is the normal rate
+    getLevel(timeOfDay, day) {
+        return CURVES[this.curve].level(timeOfDay, day);
+    }
+    
+    open() {
+        this.isOpen = true;
+    }
+    
+    close() {
+        this.isOpen = false;
+        this.due = 0;
+    }
+    
+    // Number of visitors arriving over `elapsedDays` (a fraction of a day) ending at
+    // `timeOfDay` on `day`, with `inMaze` visitors already inside
+    tick(elapsedDays, timeOfDay, day, inMaze) {
+        if (!this.isOpen) {
+            return 0;
+        }
+        
+        this.due += this.rate * this.getLevel(timeOfDay, day) * elapsedDays;
+        const room = Math.max(0, this.capacity - inMaze);
+        const arrivals = Math.min(Math.floor(this.due), room);
+        this.due -= arrivals;
+        if (arrivals === room) {
+            this.due = Math.min(this.due, 1); // Turned away, not queued
+        }
+        return arrivals;
+    }
+    
+    // Archetype id for the next arrival (null if every weight is zero)
+    pickArchetype(random = Math.random) {
+        return VisitorArchetypes.pick(this.weights, random);
+    }
+    
+    // Settings worth remembering between sessions
+    toData() {
+        return { curve: this.curve, rate: this.rate, capacity: this.capacity, weights: { ...this.weights } };
+    }
+}
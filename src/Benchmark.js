@@ -0,0 +1,172 @@
+// Benchmark.js - Sends a batch of visitors with one brain configuration through a maze
+//
+// Each visitor walks the maze on their own, in a headless MazeSimulation with the layout's
+// haunts, so every decision goes through AIBrain and Player exactly as in the live game. Visits
+// end the same ways too: finishing, getting stuck, giving up, or (as a safety net) running out
+// of simulated time. Visitor i uses a seed derived from the benchmark's seed, so the same seed,
+// layout and brain always give the same report.
+//
+// Like PathStats, step(budget) runs visitors for at most `budget` ms and run() drives it in
+// slices from setTimeout, so it can run in a worker or between frames on the main thread.
+
+import Maze from './Maze.js';
+import MazeSimulation from './MazeSimulation.js';
+import AIBrain from './AIBrain.js';
+import PathStats from './PathStats.js';
+import Random from './Random.js';
+
+const VISIT_TIME_LIMIT = 3600000; // Simulated milliseconds before a visitor is counted as timed out
+const HISTOGRAM_BINS = 12;
+
+export default class Benchmark {
+    // options: { tiers, speed, count, seed } - `tiers` in the AI settings format (see AIBrain)
+    constructor(maze, options) {
+        this.maze = maze;
+        this.tiers = options.tiers;
+        this.speed = options.speed;
+        this.count = options.count;
+        this.seed = options.seed;
+        this.results = []; // { outcome, steps, time } per visitor so far
+    }
+    
+    // Rebuild the Maze (with its haunts) from the plain object posted to a worker
+    static fromMessage(data) {
+        const maze = new Maze(data.width, data.height, data.grid, data.entrances, data.exits);
+        maze.haunts = (data.haunts || []).map(haunt => ({ ...haunt }));
+        return maze;
+    }
+    
+    isDone() {
+        return this.results.length >= this.count;
+    }
+    
+    // Walk visitors until all have been or `budget` ms pass; returns true when done
+    step(budget) {
+        const deadline = Date.now() + budget;
+        while (!this.isDone()) {
+            this.results.push(this.runVisitor(this.results.length));
+            if (Date.now() >= deadline) {
+                break;
+            }
+        }
+        return this.isDone();
+    }
+    
+    // One visitor, alone in the maze, from an entrance (taken in turn) until their visit ends
+    runVisitor(index) {
+        const simulation = new MazeSimulation(this.maze, { seed: Random.derive(this.seed, 'benchmark', index) });
+        const brain = new AIBrain(JSON.parse(JSON.stringify(this.tiers)), this.speed);
+        const entrance = this.maze.entrances[index % this.maze.entrances.length];
+        const player = simulation.addPlayer('🧑', brain, entrance);
+        
+        while (player.endedAt === null && simulation.time < VISIT_TIME_LIMIT) {
+            simulation.tick(1000);
+        }
+        
+        const outcome = player.isFinished ? 'finished' : player.hasGivenUp ? 'gave-up' :
+            player.endedAt !== null ? 'stuck' : 'timed-out';
+        return {
+            outcome,
+            steps: player.path.length - 1,
+            time: (player.endedAt ?? simulation.time) - player.enteredAt
+        };
+    }
+    
+    // Run the benchmark in slices until every visitor has been through.
+    // onProgress(done, total) fires every `progressInterval` ms; onDone(report) fires once at
+    // the end (see getReport). Returns a function that cancels the benchmark.
+    run({ sliceDuration = 50, progressInterval = 250, onProgress, onDone }) {
+        let lastProgress = Date.now();
+        let timeout = null;
+        
+        const slice = () => {
+            const isDone = this.step(sliceDuration);
+            const now = Date.now();
+            
+            if (isDone) {
+                timeout = null;
+                onDone(this.getReport());
+                return;
+            }
+            
+            if (onProgress && now - lastProgress >= progressInterval) {
+                lastProgress = now;
+                onProgress(this.results.length, this.count);
+            }
+            timeout = setTimeout(slice, 0);
+        };
+        
+        timeout = setTimeout(slice, 0);
+        
+        return () => {
+            clearTimeout(timeout);
+            timeout = null;
+        };
+    }
+    
+    // Value below which `fraction` of the sorted values fall (nearest rank)
+    static percentile(sorted, fraction) {
+        const rank = Math.ceil(fraction * sorted.length);
+        return sorted[Math.max(0, Math.min(sorted.length - 1, rank - 1))];
+    }
+    
+    // Summary of the visitors so far:
+    //   { count, seed, shortest, outcomes: { finished, stuck, 'gave-up', 'timed-out' },
+    //     completionRate, stuckRate, steps, histogram }
+    // `steps` ({ min, p10, p25, median, p75, p90, max, mean }) and the histogram
+    // ([{ from, to, count }]) cover visitors who finished; both are null if nobody did.
+    getReport() {
+        const count = this.results.length;
+        const outcomes = { finished: 0, stuck: 0, 'gave-up': 0, 'timed-out': 0 };
+        this.results.forEach(result => outcomes[result.outcome]++);
+        
+        const shortestPath = PathStats.findShortestPath(this.maze);
+        const sorted = this.results
+            .filter(result => result.outcome === 'finished')
+            .map(result => result.steps)
+            .sort((a, b) => a - b);
+        
+        let steps = null;
+        let histogram = null;
+        if (sorted.length > 0) {
+            const percentile = (fraction) => Benchmark.percentile(sorted, fraction);
+            steps = {
+                min: sorted[0],
+                p10: percentile(0.1),
+                p25: percentile(0.25),
+                median: percentile(0.5),
+                p75: percentile(0.75),
+                p90: percentile(0.9),
+                max: sorted[sorted.length - 1],
+                mean: sorted.reduce((sum, value) => sum + value, 0) / sorted.length
+            };
+            histogram = Benchmark.buildHistogram(sorted, HISTOGRAM_BINS);
+        }
+        
+        return {
+            count,
+            seed: this.seed,
+            shortest: shortestPath ? shortestPath.length - 1 : null,
+            outcomes,
+            completionRate: count > 0 ? outcomes.finished / count : 0,
+            stuckRate: count > 0 ? outcomes.stuck / count : 0,
+            steps,
+            histogram
+        };
+    }
+    
+    // Equal-width bins from the smallest to the largest value: [{ from, to, count }], `to` inclusive
+    static buildHistogram(sorted, binCount) {
+        const min = sorted[0];
+        const max = sorted[sorted.length - 1];
+        const width = Math.max(1, Math.ceil((max - min + 1) / binCount));
+        const bins = [];
+        for (let from = min; from <= max; from += width) {
+            bins.push({ from, to: Math.min(max, from + width - 1), count: 0 });
+        }
+        sorted.forEach(value => {
+            bins[Math.floor((value - min) / width)].count++;
+        });
+        return bins;
+    }
+}
@@ -0,0 +1,35 @@
+// Benchmark.worker.js - Runs brain benchmarks off the main thread
+//
+// Messages in:  { id, width, height, grid, entrances, exits, haunts, tiers, speed, count, seed }
+//               - start a new benchmark (any benchmark still running is abandoned)
+//               { id, type: 'cancel' } - abandon the running benchmark
+// Messages out: { id, type: 'progress', done, total }
+//               { id, type: 'done', report }
+
+import Benchmark from './Benchmark.js';
+
+let cancel = null;
+
+self.onmessage = (event) => {
+    const { id, type } = event.data;
+    
+    if (cancel) {
+        cancel();
+        cancel = null;
+    }
+    if (type === 'cancel') {
+        return;
+    }
+    
+    const { tiers, speed, count, seed } = event.data;
+    const benchmark = new Benchmark(Benchmark.fromMessage(event.data), { tiers, speed, count, seed });
+    cancel = benchmark.run({
+        onProgress: (done, total) => {
+            self.postMessage({ id, type: 'progress', done, total });
+        },
+        onDone: (report) => {
+            cancel = null;
+            self.postMessage({ id, type: 'done', report });
+        }
+    });
+};
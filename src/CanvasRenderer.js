@@ -0,0 +1,458 @@
+// CanvasRenderer.js - Draws the board on a single <canvas> for large fields
+//
+// The DOM board (renderCells/renderEntities in index.js) keeps one element per cell, which
+// gets slow well before 150x150. This renderer draws the same picture - corn, dirt, flags,
+// highlights, haunts, the tractor, visitors with their thought bubbles, the traffic heatmap and
+// the visit-count overlay - onto one canvas. The layout is drawn to an offscreen layer that is only redrawn
+// when it changes; the tractor, roaming haunts and visitors are tweened and drawn on top every
+// animation frame.
+//
+// The game calls render() whenever something changes; drawing happens on the next frame.
+
+import Haunt from './Haunt.js';
+
+const CORN_COLOR = '#2e7d32';
+const DIRT_COLOR = '#a48174';
+const HIGHLIGHT_COLOR = '#ffd54f';
+const GRID_LINE_COLOR = 'rgba(51, 51, 51, 0.27)';
+const INVALID_COLOR = 'rgba(198, 40, 40, 0.8)';
+const HAUNT_COLOR = '#6a1b9a'; // Marker for haunts on cells too small for emoji
+const TRACTOR_MOVE_DURATION = 200; // Matches the DOM tractor's 0.2s ease-out transition
+const BASE_CELL_SIZE = 36; // Cell size the DOM styles (bubbles, overlays) were designed for
+const MAX_CANVAS_PIXELS = 8000000; // Backing store budget per canvas when drawing sharp at high zoom
+
+export default class CanvasRenderer {
+    constructor(game) {
+        this.game = game; // CornMazeGame whose state is drawn
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'board-canvas';
+        this.context = this.canvas.getContext('2d');
+        this.layer = document.createElement('canvas'); // Cached layout: cells, flags, highlights
+        this.layerState = null; // What the cached layer was drawn from
+        this.sprites = new Map(); // `${emoji}|${size}|${fontScale}` -> pre-rendered canvas
+        this.resolution = 1; // Canvas pixels per CSS pixel (zoom x device pixel ratio, within budget)
+        this.tractorTween = null; // { from, to, start } in cell coordinates
+        this.tweens = new WeakMap(); // Player or Haunt -> { from, to, start, duration }
+        this.hoveredPlayer = null; // Player under the mouse (tooltip + visit counts)
+        this.tooltip = $('<div class="board-tooltip"></div>');
+        this.needsDraw = true;
+        this.frameRequest = null;
+    }
+    
+    attach(board) {
+        board.append(this.canvas, this.tooltip.hide());
+        
+        $(this.canvas).on('mousemove', (e) => {
+            this.updateHoveredPlayer(e.clientX, e.clientY);
+        }).on('mouseleave', () => {
+            this.setHoveredPlayer(null);
+        });
+        
+        this.layerState = null;
+        this.needsDraw = true;
+        const frame = (now) => {
+            this.frameRequest = requestAnimationFrame(frame);
+            if (this.needsDraw || this.isAnimating(now)) {
+                this.needsDraw = false;
+                this.draw(now);
+            }
+        };
+        this.frameRequest = requestAnimationFrame(frame);
+    }
+    
+    detach() {
+        cancelAnimationFrame(this.frameRequest);
+        this.frameRequest = null;
+        $(this.canvas).off().remove();
+        this.tooltip.remove();
+        this.hoveredPlayer = null;
+        this.tractorTween = null;
+        this.tweens = new WeakMap();
+    }
+    
+    render() {
+        this.needsDraw = true;
+    }
+    
+    isAnimating(now) {
+        const isMoving = (tween) => tween && now - tween.start < (tween.duration ?? TRACTOR_MOVE_DURATION);
+        if (this.game.gameMode === 'farmer') {
+            return isMoving(this.tractorTween);
+        }
+        return this.game.players.some(player => !player.isRemoved && isMoving(this.tweens.get(player))) ||
+            this.game.activeHaunts.some(haunt => isMoving(this.tweens.get(haunt)));
+    }
+    
+    draw(now) {
+        const game = this.game;
+        const cellSize = game.getCellSize();
+        const width = game.width * cellSize;
+        const height = game.height * cellSize;
+        
+        // The board is zoomed with a CSS transform, so draw with enough pixels to stay sharp
+        const resolution = this.getResolution(width, height);
+        if (resolution !== this.resolution || this.canvas.style.width !== `${width}px` || this.canvas.style.height !== `${height}px`) {
+            this.resolution = resolution;
+            this.canvas.width = Math.round(width * resolution);
+            this.canvas.height = Math.round(height * resolution);
+            this.canvas.style.width = `${width}px`;
+            this.canvas.style.height = `${height}px`;
+            this.sprites.clear();
+        }
+        
+        this.updateLayer(cellSize);
+        
+        const context = this.context;
+        context.setTransform(resolution, 0, 0, resolution, 0, 0);
+        context.clearRect(0, 0, width, height);
+        context.drawImage(this.layer, 0, 0, width, height);
+        
+        if (game.gameMode === 'farmer') {
+            this.setHoveredPlayer(null);
+            this.drawTractor(now, cellSize);
+        } else {
+            const heatmap = game.getHeatmap();
+            if (heatmap) {
+                this.drawHeatmap(heatmap, cellSize);
+            }
+            
+            // A followed visitor's trail and visit counts stay up; hovering shows another visitor's counts
+            if (game.followedPlayer) {
+                this.drawTrail(game.followedPlayer, cellSize);
+            }
+            const countsPlayer = this.hoveredPlayer || game.followedPlayer;
+            if (countsPlayer) {
+                this.drawVisitCounts(countsPlayer, cellSize);
+            }
+            this.drawHaunts(now, cellSize);
+            this.drawPlayers(now, cellSize);
+            this.updateTooltip(cellSize);
+        }
+    }
+    
+    // Redraw the cached layout layer if anything it depends on has changed
+    updateLayer(cellSize) {
+        const game = this.game;
+        const state = {
+            revision: game.gridRevision,
+            cellSize,
+            mode: game.gameMode,
+            highlight: game.highlightedPath,
+            flagDrag: game.flagDrag ? JSON.stringify(game.flagDrag) : null,
+            haunts: game.gameMode === 'farmer' ? JSON.stringify(game.haunts) : null,
+            resolution: this.resolution
+        };
+        
+        const previous = this.layerState;
+        if (previous && Object.keys(state).every(key => state[key] === previous[key])) {
+            return;
+        }
+        this.layerState = state;
+        
+        const layer = this.layer;
+        layer.width = Math.round(game.width * cellSize * this.resolution);
+        layer.height = Math.round(game.height * cellSize * this.resolution);
+        const context = layer.getContext('2d');
+        context.setTransform(this.resolution, 0, 0, this.resolution, 0, 0);
+        
+        const keyOf = (pos) => `${pos.x},${pos.y}`;
+        const highlighted = new Set((game.highlightedPath || []).map(keyOf));
+        const invalid = new Set(game.gameMode === 'farmer' ? game.getValidation().invalidCells.map(keyOf) : []);
+        const entrances = new Set(game.entrances.map(keyOf));
+        const exits = new Set(game.exits.map(keyOf));
+        // Placed haunts are part of the layout while farming; in player mode they roam (see drawHaunts)
+        const haunts = new Map(game.gameMode === 'farmer' ? game.haunts.map(haunt => [keyOf(haunt), haunt]) : []);
+        const showEmoji = cellSize >= 10;
+        const showGridLines = game.gameMode === 'farmer' && cellSize >= 8;
+        
+        for (let y = 0; y < game.height; y++) {
+            for (let x = 0; x < game.width; x++) {
+                const key = `${x},${y}`;
+                const left = x * cellSize;
+                const top = y * cellSize;
+                
+                if (game.grid[y][x] === 1) {
+                    context.fillStyle = highlighted.has(key) ? HIGHLIGHT_COLOR : DIRT_COLOR;
+                    context.fillRect(left, top, cellSize, cellSize);
+                } else {
+                    context.fillStyle = CORN_COLOR;
+                    context.fillRect(left, top, cellSize, cellSize);
+                    if (showEmoji) {
+                        context.drawImage(this.getSprite('🌽', cellSize), left, top, cellSize, cellSize);
+                    }
+                }
+                
+                // Flags (tiny cells get a solid marker instead, like the library thumbnails)
+                const flag = entrances.has(key) ? '🚩' : exits.has(key) ? '🏁' : null;
+                if (flag) {
+                    const isDragged = game.flagDrag && keyOf(game.flagDrag.from) === key;
+                    context.globalAlpha = isDragged ? 0.5 : 1;
+                    if (showEmoji) {
+                        context.drawImage(this.getSprite(flag, cellSize), left, top, cellSize, cellSize);
+                    } else {
+                        context.fillStyle = flag === '🚩' ? '#e53935' : '#212121';
+                        context.fillRect(left, top, cellSize, cellSize);
+                    }
+                    context.globalAlpha = 1;
+                } else if (haunts.has(key)) {
+                    if (showEmoji) {
+                        const emoji = Haunt.getInfo(haunts.get(key).type).emoji;
+                        context.drawImage(this.getSprite(emoji, cellSize), left, top, cellSize, cellSize);
+                    } else {
+                        context.fillStyle = HAUNT_COLOR;
+                        context.fillRect(left, top, cellSize, cellSize);
+                    }
+                }
+                
+                if (showGridLines) {
+                    context.strokeStyle = GRID_LINE_COLOR;
+                    context.lineWidth = 1;
+                    context.strokeRect(left + 0.5, top + 0.5, cellSize - 1, cellSize - 1);
+                }
+                
+                if (invalid.has(key)) {
+                    const inset = Math.max(1, Math.round(cellSize / 12));
+                    context.strokeStyle = INVALID_COLOR;
+                    context.lineWidth = inset;
+                    context.strokeRect(left + inset / 2, top + inset / 2, cellSize - inset, cellSize - inset);
+                }
+            }
+        }
+        
+        // Drop target while dragging a flag
+        const drag = game.flagDrag;
+        if (drag && drag.target && keyOf(drag.target) !== keyOf(drag.from)) {
+            const lineWidth = Math.max(1, Math.round(cellSize / 12));
+            context.setLineDash([lineWidth * 2, lineWidth]);
+            context.strokeStyle = drag.isValid ? '#fff' : '#c62828';
+            context.lineWidth = lineWidth;
+            context.strokeRect(drag.target.x * cellSize + lineWidth / 2, drag.target.y * cellSize + lineWidth / 2,
+                cellSize - lineWidth, cellSize - lineWidth);
+            context.setLineDash([]);
+        }
+    }
+    
+    drawTractor(now, cellSize) {
+        const game = this.game;
+        const target = game.tractorPosition;
+        
+        // Ease toward the tractor's cell, like the DOM board's ease-out transition
+        let tween = this.tractorTween;
+        if (!tween) {
+            tween = this.tractorTween = { from: { ...target }, to: { ...target }, start: now };
+        } else if (tween.to.x !== target.x || tween.to.y !== target.y) {
+            tween.from = this.interpolate(tween, now, TRACTOR_MOVE_DURATION, t => 1 - (1 - t) * (1 - t));
+            tween.to = { ...target };
+            tween.start = now;
+        }
+        const pos = this.interpolate(tween, now, TRACTOR_MOVE_DURATION, t => 1 - (1 - t) * (1 - t));
+        
+        const context = this.context;
+        context.save();
+        context.translate((pos.x + 0.5) * cellSize, (pos.y + 0.5) * cellSize);
+        
+        // The emoji faces left; flip or rotate it to face the driving direction
+        switch (game.tractorDirection) {
+            case 'right':
+                context.scale(-1, 1);
+                break;
+            case 'up':
+                context.rotate(Math.PI / 2);
+                break;
+            case 'down':
+                context.rotate(-Math.PI / 2);
+                break;
+        }
+        
+        if (game.isReplanting) {
+            context.filter = 'hue-rotate(90deg) saturate(1.5)';
+        }
+        context.drawImage(this.getSprite('🚜', cellSize), -cellSize / 2, -cellSize / 2, cellSize, cellSize);
+        context.restore();
+    }
+    
+    drawPlayers(now, cellSize) {
+        const context = this.context;
+        const scale = cellSize / BASE_CELL_SIZE;
+        
+        this.game.players.forEach(player => {
+            if (player.isRemoved) return;
+            
+            const pos = this.getTweenedPosition(player, player.getStepDuration(), now);
+            const left = pos.x * cellSize;
+            const top = pos.y * cellSize;
+            context.drawImage(this.getSprite(player.emoji, cellSize), left, top, cellSize, cellSize);
+            
+            // Thought bubble hangs off the top-right corner
+            if (player.currentThought && cellSize >= 10) {
+                const size = Math.max(12, Math.round(24 * scale));
+                const bubbleLeft = left + cellSize + Math.round(12 * scale) - size;
+                const bubbleTop = top - Math.round(12 * scale);
+                
+                context.save();
+                context.shadowColor = 'rgba(0, 0, 0, 0.4)';
+                context.shadowBlur = 6 * scale;
+                context.shadowOffsetY = 2 * scale;
+                context.fillStyle = '#fff';
+                context.beginPath();
+                context.arc(bubbleLeft + size / 2, bubbleTop + size / 2, size / 2, 0, Math.PI * 2);
+                context.fill();
+                context.restore();
+                context.strokeStyle = '#f0f0f0';
+                context.lineWidth = Math.max(1, 2 * scale);
+                context.stroke();
+                
+                context.drawImage(this.getSprite(player.currentThought, size, 0.67), bubbleLeft, bubbleTop, size, size);
+            }
+        });
+    }
+    
+    drawHaunts(now, cellSize) {
+        this.game.activeHaunts.forEach(haunt => {
+            const pos = this.getTweenedPosition(haunt, haunt.speed, now);
+            const left = pos.x * cellSize;
+            const top = pos.y * cellSize;
+            if (cellSize >= 10) {
+                this.context.drawImage(this.getSprite(haunt.emoji, cellSize), left, top, cellSize, cellSize);
+            } else {
+                this.context.fillStyle = HAUNT_COLOR;
+                this.context.fillRect(left, top, cellSize, cellSize);
+            }
+        });
+    }
+    
+    // Tween a visitor or haunt from where it was drawn toward its current cell over one move
+    // (`speed` is its milliseconds per move)
+    getTweenedPosition(actor, speed, now) {
+        const target = actor.position;
+        let tween = this.tweens.get(actor);
+        
+        if (!tween) {
+            tween = { from: { ...target }, to: { ...target }, start: now, duration: 0 };
+            this.tweens.set(actor, tween);
+        } else if (tween.to.x !== target.x || tween.to.y !== target.y) {
+            tween.from = this.interpolate(tween, now, tween.duration);
+            tween.to = { ...target };
+            tween.start = now;
+            tween.duration = speed / this.game.playbackSpeed;
+        }
+        
+        return this.interpolate(tween, now, tween.duration);
+    }
+    
+    interpolate(tween, now, duration, easing = t => t) {
+        const progress = duration > 0 ? Math.min((now - tween.start) / duration, 1) : 1;
+        const t = easing(progress);
+        return {
+            x: tween.from.x + (tween.to.x - tween.from.x) * t,
+            y: tween.from.y + (tween.to.y - tween.from.y) * t
+        };
+    }
+    
+    // Faded wash over every cell the visitor has been to
+    drawTrail(player, cellSize) {
+        const context = this.context;
+        context.fillStyle = 'rgba(255, 255, 255, 0.3)';
+        player.visited.forEach(key => {
+            const [x, y] = key.split(',').map(Number);
+            context.fillRect(x * cellSize, y * cellSize, cellSize, cellSize);
+        });
+    }
+    
+    // Traffic heatmap colour over every plowed cell visitors have stepped on
+    drawHeatmap(heatmap, cellSize) {
+        const context = this.context;
+        heatmap.counts.forEach((count, key) => {
+            const [x, y] = key.split(',').map(Number);
+            const color = this.game.getHeatColor(heatmap, x, y);
+            if (!color) return;
+            
+            context.fillStyle = color;
+            context.fillRect(x * cellSize, y * cellSize, cellSize, cellSize);
+        });
+    }
+    
+    drawVisitCounts(player, cellSize) {
+        if (cellSize < 14) return;
+        
+        const context = this.context;
+        context.font = 'bold 10px Arial, sans-serif';
+        context.textBaseline = 'top';
+        
+        player.visitCounts.forEach((count, key) => {
+            const [x, y] = key.split(',').map(Number);
+            if (count <= 0 || this.game.grid[y][x] !== 1) return;
+            
+            const text = String(count);
+            const boxWidth = context.measureText(text).width + 8;
+            context.fillStyle = 'rgba(255, 255, 255, 0.9)';
+            context.fillRect(x * cellSize + 2, y * cellSize + 2, boxWidth, 14);
+            context.fillStyle = CORN_COLOR;
+            context.fillText(text, x * cellSize + 6, y * cellSize + 4);
+        });
+    }
+    
+    updateHoveredPlayer(clientX, clientY) {
+        if (this.game.gameMode !== 'player') {
+            this.setHoveredPlayer(null);
+            return;
+        }
+        
+        this.setHoveredPlayer(this.game.getPlayerAt(clientX, clientY));
+    }
+    
+    setHoveredPlayer(player) {
+        if (player === this.hoveredPlayer) return;
+        
+        this.hoveredPlayer = player;
+        $(this.canvas).toggleClass('hovering-player', !!player);
+        if (!player) {
+            this.tooltip.hide();
+        }
+        this.needsDraw = true;
+    }
+    
+    updateTooltip(cellSize) {
+        const player = this.hoveredPlayer;
+        if (!player || player.isRemoved) {
+            this.tooltip.hide();
+            return;
+        }
+        
+        this.tooltip.text(this.game.getPlayerTooltip(player)).css({
+            left: `${(player.position.x + 0.5) * cellSize}px`,
+            top: `${player.position.y * cellSize}px`
+        }).show();
+    }
+    
+    // Canvas pixels per CSS pixel: enough for the zoom and screen density, but capped so a
+    // zoomed-in 150x150 field doesn't allocate an enormous backing store
+    getResolution(width, height) {
+        const wanted = this.game.viewport.zoom * (window.devicePixelRatio || 1);
+        const affordable = Math.sqrt(MAX_CANVAS_PIXELS / (width * height));
+        // Round up to half steps so smooth zooming doesn't reallocate on every wheel tick
+        return Math.max(1, Math.min(Math.ceil(wanted * 2) / 2, Math.floor(affordable * 2) / 2));
+    }
+    
+    // Emoji pre-rendered once per size (at the current resolution), so drawing is a cheap image copy.
+    // Callers draw it `size` CSS pixels square.
+    getSprite(emoji, size, fontScale = 0.67) {
+        const key = `${emoji}|${size}|${fontScale}`;
+        let sprite = this.sprites.get(key);
+        
+        if (!sprite) {
+            const pixels = Math.ceil(size * this.resolution);
+            sprite = document.createElement('canvas');
+            sprite.width = pixels;
+            sprite.height = pixels;
+            const context = sprite.getContext('2d');
+            context.font = `${Math.round(pixels * fontScale)}px sans-serif`;
+            context.textAlign = 'center';
+            context.textBaseline = 'middle';
+            context.fillText(emoji, pixels / 2, pixels / 2 + this.resolution);
+            this.sprites.set(key, sprite);
+        }
+        
+        return sprite;
+    }
+}
@@ -0,0 +1,132 @@
+// Economy.js - Cash balance and day-by-day ledger for the tycoon side of the game
+//
+// DOM-free, like Maze and MazeSimulation. Money changes hands in three ways:
+//   building  every corn cell the tractor plows costs PLOW_COST, every cell replanted REPLANT_COST
+//   admission every visitor who enters the maze pays the admission price
+//   upkeep    every placed haunt costs its daily upkeep (see Haunt), charged as each day ends
+// In-game days pass with simulated time while visitors are in the maze. Building can't be
+// paid for on credit, but upkeep is due even if it takes the balance below zero.
+//
+// Money already spent stays spent: undo restores the layout, not the balance.
+
+const STARTING_BALANCE = 1000;
+const DAY_LENGTH = 60000; // Simulated milliseconds in an in-game day
+const PLOW_COST = 5;
+const REPLANT_COST = 2;
+const DEFAULT_ADMISSION = 10;
+const LEDGER_DAYS = 30; // Days of history kept
+
+const CATEGORY_LABELS = {
+    admission: 'Admission',
+    plowing: 'Plowing',
+    replanting: 'Replanting',
+    upkeep: 'Haunt upkeep'
+};
+
+export default class Economy {
+    // `data` is a saved economy (see toData); anything missing or malformed starts fresh
+    constructor(data = null) {
+        const isAmount = (value) => typeof value === 'number' && Number.isFinite(value);
+        const saved = data && typeof data === 'object' ? data : {};
+        
+        this.balance = isAmount(saved.balance) ? saved.balance : STARTING_BALANCE;
+        this.day = Number.isInteger(saved.day) && saved.day >= 1 ? saved.day : 1; // Current in-game day
+        this.dayTime = isAmount(saved.dayTime) ? Math.max(0, Math.min(saved.dayTime, DAY_LENGTH)) : 0; // Into the current day
+        this.admissionPrice = isAmount(saved.admissionPrice) && saved.admissionPrice >= 0 ?
+            saved.admissionPrice : DEFAULT_ADMISSION;
+        // Newest last: { day, income: { category: amount }, expenses: { category: amount } }
+        this.ledger = Array.isArray(saved.ledger) ? saved.ledger
+            .filter(entry => entry && Number.isInteger(entry.day))
+            .map(entry => ({ day: entry.day, income: { ...entry.income }, expenses: { ...entry.expenses } })) : [];
+        this.revision = 0; // Bumped on every change so views know when to redraw
+    }
+    
+    static getCosts() {
+        return { plow: PLOW_COST, replant: REPLANT_COST, dayLength: DAY_LENGTH };
+    }
+    
+    static getCategoryLabel(category) {
+        return CATEGORY_LABELS[category] || category;
+    }
+    
+    canAfford(amount) {
+        return amount <= this.balance;
+    }
+    
+    // Pay for building work. Returns false (and spends nothing) if the balance won't cover it.
+    spend(category, amount) {
+        if (!this.canAfford(amount)) {
+            return false;
+        }
+        this.record(category, -amount);
+        return true;
+    }
+    
+    earn(category, amount) {
+        this.record(category, amount);
+    }
+    
+    setAdmissionPrice(price) {
+        this.admissionPrice = Math.max(0, price);
+        this.revision++;
+    }
+    
+    // Pass `elapsed` simulated milliseconds; each day that ends charges `dailyUpkeep`.
+    // Returns the number of days that ended.
+    advance(elapsed, dailyUpkeep = 0) {
+        this.dayTime += elapsed;
+        let days = 0;
+        while (this.dayTime >= DAY_LENGTH) {
+            this.dayTime -= DAY_LENGTH;
+            if (dailyUpkeep > 0) {
+                this.record('upkeep', -dailyUpkeep);
+            }
+            this.day++;
+            days++;
+        }
+        if (days > 0) {
+            this.revision++;
+        }
+        return days;
+    }
+    
+    // Ledger entry for the current day (created on first use)
+    getToday() {
+        let entry = this.ledger[this.ledger.length - 1];
+        if (!entry || entry.day !== this.day) {
+            entry = { day: this.day, income: {}, expenses: {} };
+            this.ledger.push(entry);
+            if (this.ledger.length > LEDGER_DAYS) {
+                this.ledger.shift();
+            }
+        }
+        return entry;
+    }
+    
+    // Totals for a ledger entry: { income, expenses, net }
+    static summarize(entry) {
+        const sum = (amounts) => Object.values(amounts).reduce((total, amount) => total + amount, 0);
+        const income = sum(entry.income);
+        const expenses = sum(entry.expenses);
+        return { income, expenses, net: income - expenses };
+    }
+    
+    // Signed amount: positive is income, negative an expense
+    record(category, amount) {
+        const entry = this.getToday();
+        const column = amount >= 0 ? entry.income : entry.expenses;
+        column[category] = (column[category] || 0) + Math.abs(amount);
+        this.balance += amount;
+        this.revision++;
+    }
+    
+    toData() {
+        return {
+            balance: this.balance,
+            day: this.day,
+            dayTime: this.dayTime,
+            admissionPrice: this.admissionPrice,
+            ledger: this.ledger.map(entry => ({ day: entry.day, income: { ...entry.income }, expenses: { ...entry.expenses } }))
+        };
+    }
+}
@@ -0,0 +1,124 @@
+// Haunt.js - Haunted attractions that roam the plowed corridors and scare visitors
+//
+// Haunts are simulation actors like players: MazeSimulation calls step() whenever
+// nextActionTime is due. Each type has its own way of moving and causes its own
+// reaction in visitors who see it (see AIBrain.reactToHaunts):
+//   ghost     drifts at random, even doubling back          -> visitors flee
+//   scarecrow patrols slowly, straight on until it must turn -> visitors freeze
+//   clown     stalks the nearest visitor it can see         -> visitors scream, then flee
+// Each type also has a daily upkeep cost (see Economy).
+
+import Random from './Random.js';
+
+const HAUNT_TYPES = {
+    ghost: { emoji: '👻', name: 'Ghost', speed: 700, movement: 'drift', reaction: 'flee', upkeep: 20,
+        description: 'Drifts about at random. Visitors flee.' },
+    scarecrow: { emoji: '🎃', name: 'Scarecrow', speed: 1500, movement: 'patrol', reaction: 'freeze', upkeep: 10,
+        description: 'Patrols slowly. Visitors freeze in place.' },
+    clown: { emoji: '🤡', name: 'Clown', speed: 450, movement: 'stalk', reaction: 'scream', upkeep: 30,
+        description: 'Stalks visitors. Visitors scream, then run.' }
+};
+
+const DIRECTIONS = {
+    up: { dx: 0, dy: -1 },
+    right: { dx: 1, dy: 0 },
+    down: { dx: 0, dy: 1 },
+    left: { dx: -1, dy: 0 }
+};
+
+const OPPOSITE = { up: 'down', down: 'up', left: 'right', right: 'left' };
+
+export default class Haunt {
+    constructor(type, position, simulation, random = Math.random) {
+        const info = HAUNT_TYPES[type];
+        this.type = type;
+        this.emoji = info.emoji;
+        this.name = info.name;
+        this.speed = info.speed; // Milliseconds between moves
+        this.movement = info.movement; // 'drift', 'patrol' or 'stalk'
+        this.reaction = info.reaction; // How visitors react on seeing it: 'flee', 'freeze' or 'scream'
+        this.position = { x: position.x, y: position.y };
+        this.simulation = simulation; // MazeSimulation this haunt belongs to
+        this.lastDirection = null;
+        this.nextActionTime = null; // Simulated time of the next move
+        this.scares = 0; // Visitors frightened so far
+        this.random = random; // Function returning a float in [0, 1)
+    }
+    
+    static getTypes() {
+        return Object.keys(HAUNT_TYPES);
+    }
+    
+    static getInfo(type) {
+        return Object.hasOwn(HAUNT_TYPES, type) ? HAUNT_TYPES[type] : null;
+    }
+    
+    // Move one cell according to this haunt's movement style and return an event
+    step() {
+        const maze = this.simulation.maze;
+        const moves = Object.entries(DIRECTIONS)
+            .map(([direction, { dx, dy }]) => ({ x: this.position.x + dx, y: this.position.y + dy, direction }))
+            .filter(move => maze.isPlowed(move.x, move.y));
+        
+        this.nextActionTime = this.simulation.time + this.speed;
+        if (moves.length === 0) {
+            return null; // Boxed in on a single plowed cell
+        }
+        
+        const move = this.chooseMove(moves);
+        this.position = { x: move.x, y: move.y };
+        this.lastDirection = move.direction;
+        return { type: 'haunt-moved', haunt: this };
+    }
+    
+    chooseMove(moves) {
+        const forward = moves.filter(move => move.direction !== OPPOSITE[this.lastDirection]);
+        const pickRandom = (options) => Random.pick(this.random, options);
+        
+        switch (this.movement) {
+            case 'patrol': {
+                // Straight on if possible, otherwise any turn, and back the way it came at a dead end
+                const straight = moves.find(move => move.direction === this.lastDirection);
+                return straight || pickRandom(forward.length > 0 ? forward : moves);
+            }
+            
+            case 'stalk': {
+                // Head for the nearest visitor in plain sight, otherwise wander like a ghost
+                const target = this.findVisibleVisitor();
+                if (target) {
+                    return moves.find(move => move.direction === target.direction);
+                }
+                return pickRandom(forward.length > 0 ? forward : moves);
+            }
+            
+            case 'drift':
+            default:
+                // Ghosts mostly keep going but sometimes turn around for no reason
+                return pickRandom(forward.length > 0 && this.random() < 0.8 ? forward : moves);
+        }
+    }
+    
+    // Nearest active visitor in a straight, unobstructed line: { player, direction } or null
+    findVisibleVisitor() {
+        const { maze, players } = this.simulation;
+        let nearest = null;
+        
+        for (const [direction, { dx, dy }] of Object.entries(DIRECTIONS)) {
+            for (let distance = 1; distance <= 7; distance++) {
+                const x = this.position.x + dx * distance;
+                const y = this.position.y + dy * distance;
+                if (!maze.isPlowed(x, y)) break;
+                
+                const player = players.find(p => p.isActive && p.position.x === x && p.position.y === y);
+                if (player) {
+                    if (!nearest || distance < nearest.distance) {
+                        nearest = { player, direction, distance };
+                    }
+                    break;
+                }
+            }
+        }
+        
+        return nearest;
+    }
+}
@@ -0,0 +1,281 @@
+// Maze.js - DOM-free description of a maze layout, shared by the game and the simulation
+
+export default class Maze {
+    constructor(width, height, grid, entrances = [], exits = [], maxOpenings = 2) {
+        this.width = width;
+        this.height = height;
+        this.grid = grid; // 0 = corn, 1 = dirt (plowed)
+        this.entrances = entrances.map(pos => ({ ...pos })); // Perimeter openings visitors spawn at
+        this.exits = exits.map(pos => ({ ...pos })); // Perimeter openings visitors try to reach
+        this.maxOpenings = maxOpenings; // Most plowed perimeter cells (entrances + exits) allowed
+        this.haunts = []; // Haunted attractions placed on plowed cells: { type, x, y }
+    }
+    
+    // Create an all-corn maze of the given size
+    static createEmpty(width, height) {
+        const grid = [];
+        for (let y = 0; y < height; y++) {
+            grid[y] = [];
+            for (let x = 0; x < width; x++) {
+                grid[y][x] = 0;
+            }
+        }
+        return new Maze(width, height, grid);
+    }
+    
+    static getSizeLimits() {
+        // Smallest and largest field the farmer can plow
+        return { min: 7, max: 150 };
+    }
+    
+    static getOpeningLimits() {
+        // Range for the configurable entrance + exit cap
+        return { min: 2, max: 8 };
+    }
+    
+    isInBounds(x, y) {
+        return x >= 0 && x < this.width && y >= 0 && y < this.height;
+    }
+    
+    isPlowed(x, y) {
+        return this.isInBounds(x, y) && this.grid[y][x] === 1;
+    }
+    
+    isOnPerimeter(x, y) {
+        return x === 0 || x === this.width - 1 || y === 0 || y === this.height - 1;
+    }
+    
+    countPlowedPerimeterSquares() {
+        let count = 0;
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                if (this.isOnPerimeter(x, y) && this.grid[y][x] === 1) {
+                    count++;
+                }
+            }
+        }
+        return count;
+    }
+    
+    canPlow(x, y) {
+        // If already plowed, we can move there (it's already a path)
+        if (this.grid[y][x] === 1) {
+            return true;
+        }
+        
+        // Check perimeter constraint: at most maxOpenings plowed squares on perimeter
+        if (this.isOnPerimeter(x, y)) {
+            const currentPerimeterCount = this.countPlowedPerimeterSquares();
+            if (currentPerimeterCount >= this.maxOpenings) {
+                return false; // Every opening is already used
+            }
+        }
+        
+        // Check all four possible 2x2 blocks that would include this square
+        return !this.wouldCompleteBlock(x, y);
+    }
+    
+    wouldCompleteBlock(x, y) {
+        // For a square at (x, y), we need to check 2x2 blocks:
+        // - Top-left: (x-1, y-1), (x, y-1), (x-1, y), (x, y)
+        // - Top-right: (x, y-1), (x+1, y-1), (x, y), (x+1, y)
+        // - Bottom-left: (x-1, y), (x, y), (x-1, y+1), (x, y+1)
+        // - Bottom-right: (x, y), (x+1, y), (x, y+1), (x+1, y+1)
+        const isBlockPlowed = (x1, y1) => {
+            // Out of bounds blocks don't constrain us
+            if (x1 < 0 || y1 < 0 || x1 + 1 >= this.width || y1 + 1 >= this.height) {
+                return false;
+            }
+            
+            for (let checkY = y1; checkY <= y1 + 1; checkY++) {
+                for (let checkX = x1; checkX <= x1 + 1; checkX++) {
+                    if (this.grid[checkY][checkX] !== 1 && !(checkX === x && checkY === y)) {
+                        return false;
+                    }
+                }
+            }
+            return true;
+        };
+        
+        return isBlockPlowed(x - 1, y - 1) ||  // Top-left block
+               isBlockPlowed(x, y - 1) ||      // Top-right block
+               isBlockPlowed(x - 1, y) ||      // Bottom-left block
+               isBlockPlowed(x, y);            // Bottom-right block
+    }
+    
+    // Crop or pad with corn to a new size, keeping the layout pinned to an anchor
+    // ('top-left', 'top', 'top-right', 'left', 'center', 'right', 'bottom-left', 'bottom', 'bottom-right').
+    // Returns the new Maze and the offset applied to every old coordinate.
+    // Entrances/exits are carried over as-is; callers decide whether they are still valid.
+    // Haunts that end up outside the field are dropped.
+    resize(width, height, anchor = 'center') {
+        const [vertical, horizontal] = anchor === 'center' ? ['center', 'center'] :
+            anchor.includes('-') ? anchor.split('-') :
+            (anchor === 'top' || anchor === 'bottom') ? [anchor, 'center'] : ['center', anchor];
+        
+        const alignOffset = (align, oldSize, newSize, start, end) => {
+            if (align === start) return 0;
+            if (align === end) return newSize - oldSize;
+            return Math.floor((newSize - oldSize) / 2);
+        };
+        const offset = {
+            x: alignOffset(horizontal, this.width, width, 'left', 'right'),
+            y: alignOffset(vertical, this.height, height, 'top', 'bottom')
+        };
+        
+        const resized = Maze.createEmpty(width, height);
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                if (resized.isInBounds(x + offset.x, y + offset.y)) {
+                    resized.grid[y + offset.y][x + offset.x] = this.grid[y][x];
+                }
+            }
+        }
+        
+        const shift = (pos) => ({ x: pos.x + offset.x, y: pos.y + offset.y });
+        resized.entrances = this.entrances.map(shift);
+        resized.exits = this.exits.map(shift);
+        resized.maxOpenings = this.maxOpenings;
+        resized.haunts = this.haunts
+            .map(haunt => ({ ...haunt, ...shift(haunt) }))
+            .filter(haunt => resized.isInBounds(haunt.x, haunt.y));
+        
+        return { maze: resized, offset };
+    }
+    
+    // Number of plowed cells reachable from `from` (including itself)
+    countConnectedCells(from) {
+        if (!this.isPlowed(from.x, from.y)) return 0;
+        
+        const visited = new Set([`${from.x},${from.y}`]);
+        const queue = [from];
+        const directions = [[0, 1], [1, 0], [0, -1], [-1, 0]];
+        
+        while (queue.length > 0) {
+            const { x, y } = queue.pop();
+            for (const [dx, dy] of directions) {
+                const key = `${x + dx},${y + dy}`;
+                if (this.isPlowed(x + dx, y + dy) && !visited.has(key)) {
+                    visited.add(key);
+                    queue.push({ x: x + dx, y: y + dy });
+                }
+            }
+        }
+        
+        return visited.size;
+    }
+    
+    // Separate plowed networks (cells joined by edges), each an array of { x, y }
+    findComponents() {
+        const seen = new Set();
+        const components = [];
+        
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                if (this.grid[y][x] !== 1 || seen.has(`${x},${y}`)) continue;
+                
+                const component = [];
+                const queue = [{ x, y }];
+                seen.add(`${x},${y}`);
+                while (queue.length > 0) {
+                    const current = queue.pop();
+                    component.push(current);
+                    for (const [dx, dy] of [[0, 1], [1, 0], [0, -1], [-1, 0]]) {
+                        const key = `${current.x + dx},${current.y + dy}`;
+                        if (this.isPlowed(current.x + dx, current.y + dy) && !seen.has(key)) {
+                            seen.add(key);
+                            queue.push({ x: current.x + dx, y: current.y + dy });
+                        }
+                    }
+                }
+                components.push(component);
+            }
+        }
+        
+        return components;
+    }
+    
+    countComponents() {
+        return this.findComponents().length;
+    }
+    
+    // Shortest route over plowed cells from `start` to `finish` (inclusive), or null
+    findPath(start, finish) {
+        if (!this.isPlowed(start.x, start.y) || !this.isPlowed(finish.x, finish.y)) return null;
+        
+        const startKey = `${start.x},${start.y}`;
+        const parent = new Map([[startKey, null]]);
+        const queue = [start];
+        const directions = [[0, 1], [1, 0], [0, -1], [-1, 0]];
+        
+        for (let i = 0; i < queue.length; i++) {
+            const { x, y } = queue[i];
+            
+            if (x === finish.x && y === finish.y) {
+                // Reconstruct path
+                const path = [];
+                let current = `${x},${y}`;
+                while (current) {
+                    const [cx, cy] = current.split(',').map(Number);
+                    path.unshift({ x: cx, y: cy });
+                    current = parent.get(current);
+                }
+                return path;
+            }
+            
+            for (const [dx, dy] of directions) {
+                const key = `${x + dx},${y + dy}`;
+                if (this.isPlowed(x + dx, y + dy) && !parent.has(key)) {
+                    parent.set(key, `${x},${y}`);
+                    queue.push({ x: x + dx, y: y + dy });
+                }
+            }
+        }
+        
+        return null; // No path found
+    }
+    
+    // Top-left corners of every fully plowed 2x2 block (should always be empty)
+    findPlowedBlocks() {
+        const blocks = [];
+        for (let y = 0; y < this.height - 1; y++) {
+            for (let x = 0; x < this.width - 1; x++) {
+                if (this.grid[y][x] === 1 && this.grid[y][x + 1] === 1 &&
+                    this.grid[y + 1][x] === 1 && this.grid[y + 1][x + 1] === 1) {
+                    blocks.push({ x, y });
+                }
+            }
+        }
+        return blocks;
+    }
+    
+    isEntrance(pos) {
+        return this.entrances.some(entrance => entrance.x === pos.x && entrance.y === pos.y);
+    }
+    
+    isExit(pos) {
+        return this.exits.some(exit => exit.x === pos.x && exit.y === pos.y);
+    }
+    
+    // Flag a newly plowed perimeter cell: the first opening is an entrance, the second an exit,
+    // and later ones go to whichever list is shorter (entrances win ties)
+    addOpening(pos) {
+        if (this.entrances.length <= this.exits.length) {
+            this.entrances.push({ ...pos });
+        } else {
+            this.exits.push({ ...pos });
+        }
+    }
+    
+    // Drop whichever flag (entrance or exit) is at pos
+    removeOpening(pos) {
+        const isElsewhere = (flag) => flag.x !== pos.x || flag.y !== pos.y;
+        this.entrances = this.entrances.filter(isElsewhere);
+        this.exits = this.exits.filter(isElsewhere);
+    }
+    
+    // Complete mazes need at least one way in and one way out
+    isComplete() {
+        return this.entrances.length > 0 && this.exits.length > 0;
+    }
+}
@@ -0,0 +1,168 @@
+// MazeAnalysis.js - Structural metrics for a maze layout and an overall difficulty score
+//
+// Every metric comes with the cells it describes so the stats panel can highlight them.
+// The plowed cells are treated as a graph: each cell is a node, and neighbouring plowed
+// cells are joined by an edge. A cell's degree is its number of plowed neighbours.
+
+const DIRECTIONS = [[0, 1], [1, 0], [0, -1], [-1, 0]];
+
+export default class MazeAnalysis {
+    constructor(maze) {
+        this.maze = maze;
+    }
+    
+    // Returns { deadEnds, junctions3, junctions4, loops, averageCorridor, tortuosity, difficulty },
+    // each { value, cells } (difficulty also has a label). `shortestPath` is the entrance-to-exit
+    // route (or null), used for tortuosity.
+    analyze(shortestPath = null) {
+        const cells = this.getPlowedCells();
+        const degree = (pos) => this.getDegree(pos.x, pos.y);
+        const isOpening = (pos) => this.maze.isEntrance(pos) || this.maze.isExit(pos);
+        
+        // Entrances and exits are meant to be the end of the line, so they don't count as dead ends
+        const deadEnds = cells.filter(pos => degree(pos) === 1 && !isOpening(pos));
+        const junctions3 = cells.filter(pos => degree(pos) === 3);
+        const junctions4 = cells.filter(pos => degree(pos) === 4);
+        
+        const corridors = this.findCorridors(cells);
+        const corridorCells = corridors.flat();
+        const averageCorridor = corridors.length > 0 ? corridorCells.length / corridors.length : 0;
+        
+        const tortuosity = this.getTortuosity(shortestPath);
+        const loops = this.countLoops(cells);
+        
+        const difficulty = this.scoreDifficulty({
+            plowed: cells.length,
+            deadEnds: deadEnds.length,
+            junctions3: junctions3.length,
+            junctions4: junctions4.length,
+            loops,
+            tortuosity,
+            shortestPath
+        });
+        
+        return {
+            deadEnds: { value: deadEnds.length, cells: deadEnds },
+            junctions3: { value: junctions3.length, cells: junctions3 },
+            junctions4: { value: junctions4.length, cells: junctions4 },
+            loops: { value: loops, cells: loops > 0 ? this.findLoopCells(cells) : [] },
+            averageCorridor: { value: averageCorridor, cells: corridorCells },
+            tortuosity: { value: tortuosity, cells: tortuosity === null ? [] : shortestPath },
+            difficulty: { ...difficulty, cells: [...deadEnds, ...junctions3, ...junctions4] }
+        };
+    }
+    
+    getPlowedCells() {
+        const cells = [];
+        for (let y = 0; y < this.maze.height; y++) {
+            for (let x = 0; x < this.maze.width; x++) {
+                if (this.maze.grid[y][x] === 1) {
+                    cells.push({ x, y });
+                }
+            }
+        }
+        return cells;
+    }
+    
+    getDegree(x, y) {
+        return DIRECTIONS.filter(([dx, dy]) => this.maze.isPlowed(x + dx, y + dy)).length;
+    }
+    
+    // Corridors are runs of cells with exactly two neighbours, between junctions and dead ends
+    findCorridors(cells) {
+        const isCorridor = (x, y) => this.maze.isPlowed(x, y) && this.getDegree(x, y) === 2;
+        const seen = new Set();
+        const corridors = [];
+        
+        for (const cell of cells) {
+            const key = `${cell.x},${cell.y}`;
+            if (seen.has(key) || !isCorridor(cell.x, cell.y)) continue;
+            
+            // Flood fill through neighbouring corridor cells
+            const corridor = [];
+            const stack = [cell];
+            seen.add(key);
+            while (stack.length > 0) {
+                const current = stack.pop();
+                corridor.push(current);
+                for (const [dx, dy] of DIRECTIONS) {
+                    const nx = current.x + dx;
+                    const ny = current.y + dy;
+                    const neighbourKey = `${nx},${ny}`;
+                    if (isCorridor(nx, ny) && !seen.has(neighbourKey)) {
+                        seen.add(neighbourKey);
+                        stack.push({ x: nx, y: ny });
+                    }
+                }
+            }
+            corridors.push(corridor);
+        }
+        
+        return corridors;
+    }
+    
+    // Independent loops (cyclomatic number): edges - cells + separate networks
+    countLoops(cells) {
+        let edges = 0;
+        for (const { x, y } of cells) {
+            if (this.maze.isPlowed(x + 1, y)) edges++;
+            if (this.maze.isPlowed(x, y + 1)) edges++;
+        }
+        return edges - cells.length + this.maze.countComponents();
+    }
+    
+    // Cells left after repeatedly trimming dead ends: the loops and the paths joining them
+    findLoopCells(cells) {
+        const degrees = new Map(cells.map(pos => [`${pos.x},${pos.y}`, this.getDegree(pos.x, pos.y)]));
+        const queue = cells.filter(pos => degrees.get(`${pos.x},${pos.y}`) <= 1);
+        const removed = new Set(queue.map(pos => `${pos.x},${pos.y}`));
+        
+        while (queue.length > 0) {
+            const { x, y } = queue.pop();
+            for (const [dx, dy] of DIRECTIONS) {
+                const key = `${x + dx},${y + dy}`;
+                if (!degrees.has(key) || removed.has(key)) continue;
+                
+                degrees.set(key, degrees.get(key) - 1);
+                if (degrees.get(key) <= 1) {
+                    removed.add(key);
+                    queue.push({ x: x + dx, y: y + dy });
+                }
+            }
+        }
+        
+        return cells.filter(pos => !removed.has(`${pos.x},${pos.y}`));
+    }
+    
+    // Steps along the shortest route divided by the straight (Manhattan) distance it covers
+    getTortuosity(shortestPath) {
+        if (!shortestPath || shortestPath.length < 2) return null;
+        
+        const start = shortestPath[0];
+        const end = shortestPath[shortestPath.length - 1];
+        const distance = Math.abs(end.x - start.x) + Math.abs(end.y - start.y);
+        return (shortestPath.length - 1) / distance;
+    }
+    
+    // 0-100 blend of how winding the route is, how many decisions visitors face,
+    // how many loops can trap wall followers, and how long the walk is for the field size
+    scoreDifficulty({ plowed, deadEnds, junctions3, junctions4, loops, tortuosity, shortestPath }) {
+        if (plowed === 0 || !shortestPath) {
+            return { value: 0, label: 'Unsolvable' };
+        }
+        
+        // Decision points per plowed cell; about 0.3 (a bushy Prim's maze) counts as the maximum
+        const decisions = (deadEnds + junctions3 + 2 * junctions4) / plowed;
+        const fieldArea = this.maze.width * this.maze.height;
+        
+        const score = Math.round(
+            35 * Math.min((tortuosity - 1) / 4, 1) +
+            35 * Math.min(decisions / 0.3, 1) +
+            15 * Math.min(loops / 10, 1) +
+            15 * Math.min(shortestPath.length / (fieldArea / 4), 1)
+        );
+        
+        const label = score < 25 ? 'Easy' : score < 50 ? 'Medium' : score < 75 ? 'Hard' : 'Fiendish';
+        return { value: score, label };
+    }
+}
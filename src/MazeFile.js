@@ -0,0 +1,265 @@
+// MazeFile.js - Versioned .cornmaze.json format for moving mazes between machines
+//
+// Version 2 layout:
+// {
+//     "format": "cornmaze",
+//     "version": 2,
+//     "metadata": { "name": "My Maze", "author": "Farmer", "created": "2024-10-01T12:00:00.000Z" },
+//     "width": 12,                          // 7-150 cells
+//     "height": 12,                         // 7-150 cells
+//     "grid": [[0, 1, ...], ...],           // `height` rows of `width` cells: 0 = corn, 1 = dirt
+//     "tractorPosition": { "x": 6, "y": 6 },
+//     "maxOpenings": 2,                     // 2-8 plowed perimeter cells allowed
+//     "entrances": [{ "x": 0, "y": 3 }],    // empty while the maze is unfinished
+//     "exits": [{ "x": 11, "y": 8 }],       // empty while the maze is unfinished
+//     "haunts": [{ "type": "ghost", "x": 4, "y": 5 }], // optional; each on a plowed cell that isn't an entrance or exit
+//     "economy": { "balance": 940, "day": 3, ... },  // optional; see Economy.toData
+//     "rating": { "count": 12, "reviews": [...], ... }, // optional; see Satisfaction.toData
+//     "recordings": [{ "duration": 90000, "visitors": [...], ... }] // optional; see RunRecording.toData
+// }
+//
+// Version 1 files had a single "entrance" and "exit" (each a position or null) and a fixed
+// cap of two openings; they are still read.
+//
+// Files are checked against the same plowing rules the tractor follows: no fully plowed
+// 2x2 blocks, at most `maxOpenings` plowed perimeter cells, and every plowed perimeter
+// cell must be an entrance or an exit.
+
+import Maze from './Maze.js';
+import Haunt from './Haunt.js';
+
+const FORMAT_NAME = 'cornmaze';
+const FORMAT_VERSION = 2;
+
+export default class MazeFile {
+    static getExtension() {
+        return '.cornmaze.json';
+    }
+    
+    // Build the file contents for a maze state ({ width, height, grid, tractorPosition, maxOpenings, entrances, exits, haunts, economy, rating, recordings })
+    static serialize(state, metadata = {}) {
+        return JSON.stringify(MazeFile.toData(state, metadata), null, 2);
+    }
+    
+    // Build the plain file object (also used for maze library entries)
+    static toData(state, metadata = {}) {
+        return {
+            format: FORMAT_NAME,
+            version: FORMAT_VERSION,
+            metadata: {
+                name: metadata.name || 'Untitled Maze',
+                author: metadata.author || '',
+                created: metadata.created || new Date().toISOString()
+            },
+            width: state.width,
+            height: state.height,
+            grid: state.grid.map(row => [...row]),
+            tractorPosition: { ...state.tractorPosition },
+            maxOpenings: state.maxOpenings,
+            entrances: state.entrances.map(pos => ({ ...pos })),
+            exits: state.exits.map(pos => ({ ...pos })),
+            haunts: (state.haunts || []).map(haunt => ({ type: haunt.type, x: haunt.x, y: haunt.y })),
+            ...(state.economy ? { economy: state.economy } : {}),
+            ...(state.rating ? { rating: state.rating } : {}),
+            ...(state.recordings && state.recordings.length > 0 ? { recordings: state.recordings } : {})
+        };
+    }
+    
+    // Entrances, exits and opening cap of a file object in any supported version
+    // (doesn't validate the positions themselves)
+    static getOpenings(data) {
+        if (data.version === 1) {
+            return {
+                maxOpenings: 2,
+                entrances: data.entrance ? [data.entrance] : [],
+                exits: data.exit ? [data.exit] : []
+            };
+        }
+        return {
+            maxOpenings: data.maxOpenings,
+            entrances: Array.isArray(data.entrances) ? data.entrances : [],
+            exits: Array.isArray(data.exits) ? data.exits : []
+        };
+    }
+    
+    // Parse and validate file text.
+    // Returns { state, metadata, errors }; state is null when the file was rejected.
+    static parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            return { state: null, metadata: null, errors: ['The file is not valid JSON.'] };
+        }
+        
+        return MazeFile.fromData(data);
+    }
+    
+    // Validate a plain file object and convert it back to a maze state
+    static fromData(data) {
+        const errors = MazeFile.validate(data);
+        if (errors.length > 0) {
+            return { state: null, metadata: null, errors };
+        }
+        
+        const metadata = data.metadata || {};
+        const { maxOpenings, entrances, exits } = MazeFile.getOpenings(data);
+        const copyPosition = (pos) => ({ x: pos.x, y: pos.y });
+        return {
+            state: {
+                width: data.width,
+                height: data.height,
+                grid: data.grid.map(row => [...row]),
+                tractorPosition: { x: data.tractorPosition.x, y: data.tractorPosition.y },
+                maxOpenings,
+                entrances: entrances.map(copyPosition),
+                exits: exits.map(copyPosition),
+                haunts: (data.haunts || []).map(haunt => ({ type: haunt.type, x: haunt.x, y: haunt.y })),
+                economy: data.economy || null,
+                rating: data.rating || null,
+                recordings: data.recordings || []
+            },
+            metadata: {
+                name: typeof metadata.name === 'string' ? metadata.name : 'Untitled Maze',
+                author: typeof metadata.author === 'string' ? metadata.author : '',
+                created: typeof metadata.created === 'string' ? metadata.created : null
+            },
+            errors: []
+        };
+    }
+    
+    // Return a list of human-readable reasons the data can't be loaded (empty if valid)
+    static validate(data) {
+        if (!data || typeof data !== 'object' || data.format !== FORMAT_NAME) {
+            return ['This is not a Corn Maze Tycoon maze file.'];
+        }
+        
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            return ['The file has no valid format version.'];
+        }
+        
+        if (data.version > FORMAT_VERSION) {
+            return [`The file uses format version ${data.version}, but this game only understands up to version ${FORMAT_VERSION}. Update the game to open it.`];
+        }
+        
+        // Dimensions and grid shape - nothing else can be checked without these
+        const { min, max } = Maze.getSizeLimits();
+        const isValidSize = (size) => Number.isInteger(size) && size >= min && size <= max;
+        if (!isValidSize(data.width) || !isValidSize(data.height)) {
+            return [`Width and height must be whole numbers between ${min} and ${max} (got ${data.width} x ${data.height}).`];
+        }
+        
+        if (!Array.isArray(data.grid) || data.grid.length !== data.height) {
+            return [`The grid must have ${data.height} rows to match the maze height.`];
+        }
+        
+        for (let y = 0; y < data.height; y++) {
+            const row = data.grid[y];
+            if (!Array.isArray(row) || row.length !== data.width) {
+                return [`Row ${y + 1} of the grid must have ${data.width} cells to match the maze width.`];
+            }
+            if (row.some(cell => cell !== 0 && cell !== 1)) {
+                return [`Row ${y + 1} of the grid contains a cell that is neither 0 (corn) nor 1 (dirt).`];
+            }
+        }
+        
+        if (data.version >= 2 && (!Array.isArray(data.entrances) || !Array.isArray(data.exits))) {
+            return ['The file must list its entrances and exits (use empty lists for an unfinished maze).'];
+        }
+        
+        const { maxOpenings, entrances, exits } = MazeFile.getOpenings(data);
+        const openingLimits = Maze.getOpeningLimits();
+        if (!Number.isInteger(maxOpenings) || maxOpenings < openingLimits.min || maxOpenings > openingLimits.max) {
+            return [`The opening limit must be a whole number between ${openingLimits.min} and ${openingLimits.max} (got ${maxOpenings}).`];
+        }
+        
+        // Plowing rules
+        const errors = [];
+        const maze = new Maze(data.width, data.height, data.grid);
+        const describe = (pos) => `(${pos.x}, ${pos.y})`;
+        const isPosition = (pos) => pos && Number.isInteger(pos.x) && Number.isInteger(pos.y);
+        
+        const blocks = maze.findPlowedBlocks();
+        if (blocks.length > 0) {
+            const listed = blocks.slice(0, 3).map(describe).join(', ');
+            const more = blocks.length > 3 ? ` and ${blocks.length - 3} more` : '';
+            errors.push(`The grid has fully plowed 2x2 blocks starting at ${listed}${more}. Every 2x2 area needs at least one corn cell.`);
+        }
+        
+        const perimeterCount = maze.countPlowedPerimeterSquares();
+        if (perimeterCount > maxOpenings) {
+            errors.push(`The grid has ${perimeterCount} plowed cells on the edge of the field; only ${maxOpenings} openings (entrances and exits) are allowed.`);
+        }
+        
+        const flags = [];
+        const labelled = [
+            ...entrances.map(pos => ['entrance', pos]),
+            ...exits.map(pos => ['exit', pos])
+        ];
+        labelled.forEach(([label, pos]) => {
+            if (!isPosition(pos) || !maze.isInBounds(pos.x, pos.y)) {
+                errors.push(`The ${label} is not a position inside the field.`);
+            } else if (!maze.isOnPerimeter(pos.x, pos.y)) {
+                errors.push(`The ${label} at ${describe(pos)} is not on the edge of the field.`);
+            } else if (!maze.isPlowed(pos.x, pos.y)) {
+                errors.push(`The ${label} at ${describe(pos)} is on a corn cell; it must be plowed.`);
+            } else if (flags.some(flag => flag.x === pos.x && flag.y === pos.y)) {
+                errors.push(`More than one entrance or exit is at ${describe(pos)}.`);
+            } else {
+                flags.push(pos);
+            }
+        });
+        
+        // Plowed perimeter cells always become an entrance or exit while plowing
+        if (perimeterCount <= maxOpenings) {
+            for (let y = 0; y < maze.height; y++) {
+                for (let x = 0; x < maze.width; x++) {
+                    if (maze.isOnPerimeter(x, y) && maze.isPlowed(x, y) &&
+                        !flags.some(flag => flag.x === x && flag.y === y)) {
+                        errors.push(`The plowed edge cell at (${x}, ${y}) is not marked as an entrance or exit.`);
+                    }
+                }
+            }
+        }
+        
+        if (!isPosition(data.tractorPosition) || !maze.isInBounds(data.tractorPosition.x, data.tractorPosition.y)) {
+            errors.push('The tractor position is missing or outside the field.');
+        } else if (!maze.isPlowed(data.tractorPosition.x, data.tractorPosition.y)) {
+            errors.push(`The tractor at ${describe(data.tractorPosition)} is parked in the corn; it must be on a plowed cell.`);
+        }
+        
+        // Haunts are optional; files from before they existed simply have none
+        if (data.haunts !== undefined) {
+            if (!Array.isArray(data.haunts)) {
+                errors.push('The haunts must be a list.');
+            } else {
+                data.haunts.forEach(haunt => {
+                    if (!haunt || !Haunt.getInfo(haunt.type)) {
+                        errors.push(`Unknown haunt type "${haunt && haunt.type}". Known types: ${Haunt.getTypes().join(', ')}.`);
+                    } else if (!isPosition(haunt) || !maze.isInBounds(haunt.x, haunt.y)) {
+                        errors.push(`The ${haunt.type} haunt is not a position inside the field.`);
+                    } else if (!maze.isPlowed(haunt.x, haunt.y)) {
+                        errors.push(`The ${haunt.type} haunt at ${describe(haunt)} is in the corn; it must be on a plowed cell.`);
+                    } else if (flags.some(flag => flag.x === haunt.x && flag.y === haunt.y)) {
+                        errors.push(`The ${haunt.type} haunt at ${describe(haunt)} is on an entrance or exit; haunts can't go there.`);
+                    }
+                });
+            }
+        }
+        
+        // The economy is optional too; without one the maze starts with a fresh balance
+        if (data.economy !== undefined && (!data.economy || typeof data.economy !== 'object' ||
+            typeof data.economy.balance !== 'number' || !Number.isFinite(data.economy.balance))) {
+            errors.push('The economy must be an object with a numeric balance.');
+        }
+        if (data.rating !== undefined && (!data.rating || typeof data.rating !== 'object')) {
+            errors.push('The rating must be an object.');
+        }
+        if (data.recordings !== undefined && (!Array.isArray(data.recordings) ||
+            data.recordings.some(recording => !recording || typeof recording !== 'object' || !Array.isArray(recording.visitors)))) {
+            errors.push('The recordings must be a list of objects, each with a list of visitors.');
+        }
+        
+        return errors;
+    }
+}
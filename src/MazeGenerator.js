@@ -0,0 +1,259 @@
+// MazeGenerator.js - Procedural maze layouts that respect the plowing rules
+//
+// Mazes are carved on a lattice of "rooms" at odd coordinates. Two neighbouring rooms
+// are joined by plowing the cell between them. Cells with two even coordinates are
+// never plowed, so no 2x2 block of dirt can appear, and the only plowed perimeter
+// cells are the entrance and exit tunnels added at the end.
+
+import Maze from './Maze.js';
+
+export default class MazeGenerator {
+    constructor(width, height, random = Math.random) {
+        this.width = width;
+        this.height = height;
+        this.random = random; // Function returning a float in [0, 1)
+        
+        // Rooms sit at odd coordinates strictly inside the perimeter
+        this.columns = Math.floor((width - 1) / 2);
+        this.rows = Math.floor((height - 1) / 2);
+    }
+    
+    static getAlgorithms() {
+        return [
+            { id: 'backtracker', label: 'Recursive Backtracker' },
+            { id: 'prims', label: "Prim's" },
+            { id: 'wilsons', label: "Wilson's" },
+            { id: 'braid', label: 'Braid (no dead ends)' },
+            { id: 'loopy', label: 'Loopy' }
+        ];
+    }
+    
+    // Generate a complete maze (grid, entrance and exit) with the given algorithm
+    generate(algorithm = 'backtracker') {
+        const maze = Maze.createEmpty(this.width, this.height);
+        
+        switch (algorithm) {
+            case 'prims':
+                this.carvePrims(maze);
+                break;
+            case 'wilsons':
+                this.carveWilsons(maze);
+                break;
+            case 'braid':
+                this.carveBacktracker(maze);
+                this.removeDeadEnds(maze, 1);
+                break;
+            case 'loopy':
+                this.carveBacktracker(maze);
+                this.removeDeadEnds(maze, 0.35);
+                break;
+            case 'backtracker':
+            default:
+                this.carveBacktracker(maze);
+                break;
+        }
+        
+        this.addOpenings(maze);
+        return maze;
+    }
+    
+    // Depth-first search with an explicit stack (long, winding corridors)
+    carveBacktracker(maze) {
+        const visited = new Set();
+        const start = this.getRandomRoom();
+        const stack = [start];
+        visited.add(this.roomKey(start));
+        this.carveRoom(maze, start);
+        
+        while (stack.length > 0) {
+            const current = stack[stack.length - 1];
+            const unvisited = this.getNeighbourRooms(current).filter(room => !visited.has(this.roomKey(room)));
+            
+            if (unvisited.length === 0) {
+                stack.pop();
+                continue;
+            }
+            
+            const next = this.pick(unvisited);
+            visited.add(this.roomKey(next));
+            this.connectRooms(maze, current, next);
+            stack.push(next);
+        }
+    }
+    
+    // Randomized Prim's algorithm (many short branches)
+    carvePrims(maze) {
+        const inMaze = new Set();
+        const frontier = new Map();
+        
+        const addToMaze = (room) => {
+            inMaze.add(this.roomKey(room));
+            frontier.delete(this.roomKey(room));
+            this.carveRoom(maze, room);
+            
+            for (const neighbour of this.getNeighbourRooms(room)) {
+                const key = this.roomKey(neighbour);
+                if (!inMaze.has(key)) {
+                    frontier.set(key, neighbour);
+                }
+            }
+        };
+        
+        addToMaze(this.getRandomRoom());
+        
+        while (frontier.size > 0) {
+            const room = this.pick([...frontier.values()]);
+            const connected = this.getNeighbourRooms(room).filter(n => inMaze.has(this.roomKey(n)));
+            this.connectRooms(maze, this.pick(connected), room);
+            addToMaze(room);
+        }
+    }
+    
+    // Wilson's algorithm: loop-erased random walks (uniform spanning tree, unbiased)
+    carveWilsons(maze) {
+        const inMaze = new Set();
+        const rooms = this.getAllRooms();
+        
+        const first = this.pick(rooms);
+        inMaze.add(this.roomKey(first));
+        this.carveRoom(maze, first);
+        
+        for (const room of this.shuffle(rooms)) {
+            if (inMaze.has(this.roomKey(room))) continue;
+            
+            // Random walk until we hit the maze, remembering only the last exit from each room
+            // (overwriting the exit is what erases loops)
+            const nextStep = new Map();
+            let current = room;
+            while (!inMaze.has(this.roomKey(current))) {
+                const next = this.pick(this.getNeighbourRooms(current));
+                nextStep.set(this.roomKey(current), next);
+                current = next;
+            }
+            
+            // Carve the loop-erased path into the maze
+            current = room;
+            while (!inMaze.has(this.roomKey(current))) {
+                const next = nextStep.get(this.roomKey(current));
+                inMaze.add(this.roomKey(current));
+                this.connectRooms(maze, current, next);
+                current = next;
+            }
+        }
+    }
+    
+    // Knock through dead ends to create loops (chance = 1 removes every dead end)
+    removeDeadEnds(maze, chance) {
+        for (const room of this.shuffle(this.getAllRooms())) {
+            const neighbours = this.getNeighbourRooms(room);
+            const connected = neighbours.filter(n => this.areConnected(maze, room, n));
+            
+            // Earlier knock-throughs may have already fixed this dead end
+            if (connected.length !== 1 || this.random() >= chance) continue;
+            
+            const closed = neighbours.filter(n => !this.areConnected(maze, room, n));
+            if (closed.length === 0) continue;
+            
+            // Prefer joining two dead ends together so fewer knock-throughs are needed
+            const deadEndNeighbours = closed.filter(n =>
+                this.getNeighbourRooms(n).filter(o => this.areConnected(maze, n, o)).length === 1
+            );
+            const target = this.pick(deadEndNeighbours.length > 0 ? deadEndNeighbours : closed);
+            this.connectRooms(maze, room, target);
+        }
+    }
+    
+    // Tunnel from two rooms on opposite sides out through the perimeter
+    addOpenings(maze) {
+        const sides = ['top', 'bottom', 'left', 'right'];
+        const opposite = { top: 'bottom', bottom: 'top', left: 'right', right: 'left' };
+        const entranceSide = this.pick(sides);
+        
+        maze.entrances = [this.carveOpening(maze, entranceSide)];
+        maze.exits = [this.carveOpening(maze, opposite[entranceSide])];
+    }
+    
+    carveOpening(maze, side) {
+        const lastX = 2 * this.columns - 1;
+        const lastY = 2 * this.rows - 1;
+        
+        let room, step, edge;
+        if (side === 'top' || side === 'bottom') {
+            room = { x: 2 * Math.floor(this.random() * this.columns) + 1, y: side === 'top' ? 1 : lastY };
+            step = { x: 0, y: side === 'top' ? -1 : 1 };
+            edge = side === 'top' ? 0 : this.height - 1;
+        } else {
+            room = { x: side === 'left' ? 1 : lastX, y: 2 * Math.floor(this.random() * this.rows) + 1 };
+            step = { x: side === 'left' ? -1 : 1, y: 0 };
+            edge = side === 'left' ? 0 : this.width - 1;
+        }
+        
+        // Even dimensions leave a spare row/column of corn; the tunnel crosses it
+        let x = room.x + step.x;
+        let y = room.y + step.y;
+        while (true) {
+            maze.grid[y][x] = 1;
+            if ((step.y !== 0 && y === edge) || (step.x !== 0 && x === edge)) break;
+            x += step.x;
+            y += step.y;
+        }
+        
+        return { x, y };
+    }
+    
+    carveRoom(maze, room) {
+        maze.grid[room.y][room.x] = 1;
+    }
+    
+    connectRooms(maze, a, b) {
+        this.carveRoom(maze, a);
+        this.carveRoom(maze, b);
+        maze.grid[(a.y + b.y) / 2][(a.x + b.x) / 2] = 1;
+    }
+    
+    areConnected(maze, a, b) {
+        return maze.grid[(a.y + b.y) / 2][(a.x + b.x) / 2] === 1;
+    }
+    
+    getAllRooms() {
+        const rooms = [];
+        for (let row = 0; row < this.rows; row++) {
+            for (let column = 0; column < this.columns; column++) {
+                rooms.push({ x: 2 * column + 1, y: 2 * row + 1 });
+            }
+        }
+        return rooms;
+    }
+    
+    getRandomRoom() {
+        return this.pick(this.getAllRooms());
+    }
+    
+    getNeighbourRooms(room) {
+        const lastX = 2 * this.columns - 1;
+        const lastY = 2 * this.rows - 1;
+        return [
+            { x: room.x, y: room.y - 2 },
+            { x: room.x + 2, y: room.y },
+            { x: room.x, y: room.y + 2 },
+            { x: room.x - 2, y: room.y }
+        ].filter(n => n.x >= 1 && n.x <= lastX && n.y >= 1 && n.y <= lastY);
+    }
+    
+    roomKey(room) {
+        return `${room.x},${room.y}`;
+    }
+    
+    pick(items) {
+        return items[Math.floor(this.random() * items.length)];
+    }
+    
+    shuffle(items) {
+        const shuffled = [...items];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+}
@@ -0,0 +1,101 @@
+// MazeLibrary.js - Named save slots for mazes, kept in localStorage
+//
+// Each entry stores the maze in the .cornmaze.json format (see MazeFile.js) along with
+// path stats captured at save time, so the library can be listed without re-solving.
+
+import MazeFile from './MazeFile.js';
+
+const STORAGE_KEY = 'cornMazeTycoon_library';
+
+export default class MazeLibrary {
+    constructor() {
+        this.entries = this.read();
+    }
+    
+    read() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            const entries = saved ? JSON.parse(saved) : [];
+            return Array.isArray(entries) ? entries : [];
+        } catch (e) {
+            console.warn('Failed to read maze library from localStorage:', e);
+            return [];
+        }
+    }
+    
+    write() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.entries));
+        } catch (e) {
+            console.warn('Failed to save maze library to localStorage:', e);
+        }
+    }
+    
+    // Entries sorted with the most recently saved first
+    list() {
+        return [...this.entries].sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+    }
+    
+    get(id) {
+        return this.entries.find(entry => entry.id === id) || null;
+    }
+    
+    // Save a maze state; overwrites the entry with `id` if it exists, otherwise adds a new one.
+    // Stats: { shortest, longest } path lengths (null when there's no route).
+    save(state, metadata, stats, id = null) {
+        const existing = id ? this.get(id) : null;
+        const entry = existing || { id: this.createId() };
+        
+        entry.savedAt = new Date().toISOString();
+        entry.data = MazeFile.toData(state, metadata);
+        entry.stats = { shortest: stats.shortest ?? null, longest: stats.longest ?? null };
+        
+        if (!existing) {
+            this.entries.push(entry);
+        }
+        this.write();
+        return entry;
+    }
+    
+    rename(id, name) {
+        const entry = this.get(id);
+        if (!entry) return null;
+        
+        entry.data.metadata.name = name;
+        this.write();
+        return entry;
+    }
+    
+    duplicate(id) {
+        const entry = this.get(id);
+        if (!entry) return null;
+        
+        const copy = JSON.parse(JSON.stringify(entry));
+        copy.id = this.createId();
+        copy.savedAt = new Date().toISOString();
+        copy.data.metadata.name = `${entry.data.metadata.name} (copy)`;
+        copy.data.metadata.created = copy.savedAt;
+        
+        this.entries.push(copy);
+        this.write();
+        return copy;
+    }
+    
+    remove(id) {
+        this.entries = this.entries.filter(entry => entry.id !== id);
+        this.write();
+    }
+    
+    // Validate and convert an entry back to a maze state ({ state, metadata, errors })
+    load(id) {
+        const entry = this.get(id);
+        if (!entry) {
+            return { state: null, metadata: null, errors: ['That maze is no longer in the library.'] };
+        }
+        return MazeFile.fromData(entry.data);
+    }
+    
+    createId() {
+        return `maze-${Date.now().toString(36)}-${Math.floor(Math.random() * 1e6).toString(36)}`;
+    }
+}
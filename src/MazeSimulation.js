@@ -0,0 +1,110 @@
+// MazeSimulation.js - Headless simulation core that advances players through a maze
+//
+// The simulation knows nothing about the DOM or real time. Callers advance it with
+// tick(elapsed), passing simulated milliseconds, and get back a list of events
+// describing what happened. The browser game drives it from requestAnimationFrame;
+// tests and batch runs can call tick() in a plain loop.
+//
+// Every random choice comes from streams derived from `options.seed` (see Random), so the
+// same seed, layout and visitors admitted at the same times replay the same run.
+
+import Player from './Player.js';
+import Haunt from './Haunt.js';
+import Random from './Random.js';
+
+export default class MazeSimulation {
+    constructor(maze, options = {}) {
+        this.maze = maze; // Maze instance (width, height, grid, entrances, exits)
+        this.players = []; // Players still in the maze (see tick)
+        this.time = 0; // Simulated milliseconds since the simulation was created
+        this.thinkingDuration = options.thinkingDuration ?? 300; // Pause before a decided move
+        this.celebrationDuration = options.celebrationDuration ?? 1000; // Time at the finish before removal
+        this.freezeDuration = options.freezeDuration ?? 2000; // Time a visitor stands frozen in fright
+        this.restDuration = options.restDuration ?? 4000; // Time a visitor rests after running out of stamina
+        this.scareCooldown = options.scareCooldown ?? 5000; // Before the same haunt can scare a visitor again
+        this.scareCount = 0; // Frights so far, across all visitors
+        this.seed = options.seed ?? Random.createSeed();
+        this.random = Random.create(Random.derive(this.seed, 'spawn')); // Who arrives, and where (see CornMazeGame)
+        this.playersAdded = 0; // Numbers each visitor's random stream
+        
+        // Haunts placed on the layout start roaming straight away
+        this.haunts = (maze.haunts || []).map((placed, index) => {
+            const haunt = new Haunt(placed.type, placed, this, Random.create(Random.derive(this.seed, 'haunt', index)));
+            haunt.nextActionTime = this.time + haunt.speed;
+            return haunt;
+        });
+    }
+    
+    addPlayer(emoji, brain, startPosition = this.maze.entrances[0]) {
+        const random = Random.create(Random.derive(this.seed, 'player', this.playersAdded++));
+        const player = new Player(emoji, brain, startPosition, this, random);
+        // First move happens one step after spawning, like every later move
+        player.nextActionTime = this.time + brain.speed;
+        this.players.push(player);
+        return player;
+    }
+    
+    removeAllPlayers() {
+        for (const player of this.players) {
+            player.stopMoving();
+        }
+        this.players = [];
+    }
+    
+    // Advance the simulation by `elapsed` simulated milliseconds.
+    // Due player and haunt actions are processed in chronological order, so the outcome
+    // does not depend on how the elapsed time is split across ticks.
+    // Every event returned carries the simulated `time` it happened at.
+    tick(elapsed) {
+        const targetTime = this.time + elapsed;
+        const events = [];
+        
+        while (true) {
+            const actor = this.getNextDueActor(targetTime);
+            if (!actor) break;
+            
+            this.time = actor.nextActionTime;
+            const event = actor.step();
+            if (event) {
+                event.time = this.time;
+                events.push(event);
+            }
+        }
+        
+        this.time = targetTime;
+        
+        // Visitors who have left the maze are dropped here; their last event still carries them
+        // to the caller. With the gates open a long run would otherwise keep every visitor ever.
+        if (events.some(event => event.type === 'removed' || event.type === 'left')) {
+            this.players = this.players.filter(player => !player.isRemoved);
+        }
+        return events;
+    }
+    
+    // Run until no player has anything left to do (or the time limit is hit)
+    runToCompletion(timeLimit = Infinity, tickSize = 1000) {
+        const events = [];
+        const endTime = this.time + timeLimit;
+        while (this.hasPendingActions() && this.time < endTime) {
+            events.push(...this.tick(Math.min(tickSize, endTime - this.time)));
+        }
+        return events;
+    }
+    
+    // Haunts roam forever, so only players count
+    hasPendingActions() {
+        return this.players.some(player => player.nextActionTime !== null);
+    }
+    
+    // Player or haunt with the earliest action due by targetTime (players win ties)
+    getNextDueActor(targetTime) {
+        let next = null;
+        for (const actor of [...this.players, ...this.haunts]) {
+            if (actor.nextActionTime === null || actor.nextActionTime > targetTime) continue;
+            if (!next || actor.nextActionTime < next.nextActionTime) {
+                next = actor;
+            }
+        }
+        return next;
+    }
+}
@@ -0,0 +1,94 @@
+// MazeValidator.js - Checks that a plowed layout is actually playable
+//
+// The plowing rules only guarantee a legal shape. This pass checks the things visitors care
+// about: there is a way in and a way out, every entrance leads to an exit, every exit can be
+// reached, and no plowed pockets are cut off from the entrances.
+
+export default class MazeValidator {
+    constructor(maze) {
+        this.maze = maze;
+    }
+    
+    // Returns { isValid, issues, invalidCells }. Each issue is { type, message, cells },
+    // ordered from most to least serious; invalidCells merges the cells of every issue.
+    validate() {
+        const maze = this.maze;
+        const issues = [];
+        const describe = (pos) => `(${pos.x}, ${pos.y})`;
+        
+        if (!maze.isComplete()) {
+            const missing = maze.entrances.length === 0 && maze.exits.length === 0 ? 'an entrance and an exit' :
+                maze.entrances.length === 0 ? 'an entrance' : 'an exit';
+            issues.push({
+                type: 'missing-openings',
+                message: `Complete the maze first! Plow ${missing} on the edge of the field.`,
+                cells: []
+            });
+            return this.summarize(issues);
+        }
+        
+        // Group cells by plowed network and note which networks hold entrances and exits
+        const components = maze.findComponents();
+        const componentOf = new Map();
+        components.forEach((cells, index) => {
+            cells.forEach(pos => componentOf.set(`${pos.x},${pos.y}`, index));
+        });
+        const indexOf = (pos) => componentOf.get(`${pos.x},${pos.y}`);
+        const entranceComponents = new Set(maze.entrances.map(indexOf));
+        const exitComponents = new Set(maze.exits.map(indexOf));
+        
+        const strandedEntrances = maze.entrances.filter(pos => !exitComponents.has(indexOf(pos)));
+        const unreachableExits = maze.exits.filter(pos => !entranceComponents.has(indexOf(pos)));
+        
+        if (strandedEntrances.length === maze.entrances.length) {
+            issues.push({
+                type: 'no-route',
+                message: 'No path leads from an entrance to an exit. Connect them with plowed dirt.',
+                cells: [...maze.entrances, ...maze.exits]
+            });
+        } else {
+            strandedEntrances.forEach(pos => {
+                issues.push({
+                    type: 'stranded-entrance',
+                    message: `Visitors entering at ${describe(pos)} can never reach an exit.`,
+                    cells: components[indexOf(pos)]
+                });
+            });
+            unreachableExits.forEach(pos => {
+                issues.push({
+                    type: 'unreachable-exit',
+                    message: `The exit at ${describe(pos)} can't be reached from any entrance.`,
+                    cells: components[indexOf(pos)]
+                });
+            });
+        }
+        
+        // Pockets with no entrance (networks holding only exits were reported above)
+        const pockets = components.filter((cells, index) => !entranceComponents.has(index) && !exitComponents.has(index));
+        if (pockets.length > 0) {
+            const cells = pockets.flat();
+            issues.push({
+                type: 'unreachable-pocket',
+                message: pockets.length === 1 ?
+                    `${cells.length} plowed ${cells.length === 1 ? 'cell is' : 'cells are'} cut off from every entrance. Connect or replant them.` :
+                    `${pockets.length} plowed pockets (${cells.length} cells) are cut off from every entrance. Connect or replant them.`,
+                cells
+            });
+        }
+        
+        return this.summarize(issues);
+    }
+    
+    summarize(issues) {
+        const invalidCells = new Map();
+        issues.forEach(issue => {
+            issue.cells.forEach(pos => invalidCells.set(`${pos.x},${pos.y}`, pos));
+        });
+        
+        return {
+            isValid: issues.length === 0,
+            issues,
+            invalidCells: [...invalidCells.values()]
+        };
+    }
+}
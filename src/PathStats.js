@@ -0,0 +1,150 @@
+// PathStats.js - Shortest and longest entrance-to-exit paths, computed without blocking
+//
+// The shortest path is a plain BFS and is always cheap. The longest simple path is an
+// exhaustive search that can take minutes on loopy mazes, so it runs as an explicit-stack
+// DFS that can be paused and resumed: step(budget) searches for at most `budget` ms and
+// keeps the best path found so far. run() drives it in slices from setTimeout so the page
+// (or the worker's message queue) stays responsive, and gives up after a time limit.
+
+import Maze from './Maze.js';
+
+const DIRECTIONS = [[0, 1], [1, 0], [0, -1], [-1, 0]];
+
+export default class PathStats {
+    constructor(maze) {
+        this.maze = maze;
+        this.best = null; // Longest complete path found so far (array of { x, y })
+        this.isDone = false; // True once every simple path has been tried
+        
+        // Search state: one frame per cell on the current path
+        this.visited = new Uint8Array(maze.width * maze.height);
+        this.entranceIndex = 0;
+        this.stack = [];
+    }
+    
+    // Rebuild a Maze from the plain object posted to a worker
+    static fromMessage(data) {
+        return new Maze(data.width, data.height, data.grid, data.entrances, data.exits);
+    }
+    
+    // BFS from every entrance at once; the first exit reached is the closest pair
+    static findShortestPath(maze) {
+        if (!maze.isComplete()) {
+            return null;
+        }
+        
+        const queue = maze.entrances.map(pos => ({ x: pos.x, y: pos.y }));
+        const parent = new Map(maze.entrances.map(pos => [`${pos.x},${pos.y}`, null]));
+        
+        for (let i = 0; i < queue.length; i++) {
+            const { x, y } = queue[i];
+            
+            if (maze.isExit({ x, y })) {
+                // Reconstruct path
+                const path = [];
+                let current = `${x},${y}`;
+                while (current) {
+                    const [cx, cy] = current.split(',').map(Number);
+                    path.unshift({ x: cx, y: cy });
+                    current = parent.get(current);
+                }
+                return path;
+            }
+            
+            for (const [dx, dy] of DIRECTIONS) {
+                const key = `${x + dx},${y + dy}`;
+                if (maze.isPlowed(x + dx, y + dy) && !parent.has(key)) {
+                    parent.set(key, `${x},${y}`);
+                    queue.push({ x: x + dx, y: y + dy });
+                }
+            }
+        }
+        
+        return null; // No path found
+    }
+    
+    // Search for up to `budget` ms. Returns true when the search is finished.
+    step(budget) {
+        const { maze, visited, stack } = this;
+        const deadline = Date.now() + budget;
+        let iterations = 0;
+        
+        while (!this.isDone) {
+            // Checking the clock is slow, so only do it every so often
+            if (++iterations % 2048 === 0 && Date.now() >= deadline) {
+                return false;
+            }
+            
+            if (stack.length === 0) {
+                // Start from the next entrance (or finish)
+                if (!maze.isComplete() || this.entranceIndex >= maze.entrances.length) {
+                    this.isDone = true;
+                    break;
+                }
+                const start = maze.entrances[this.entranceIndex++];
+                visited[start.y * maze.width + start.x] = 1;
+                stack.push({ x: start.x, y: start.y, direction: 0 });
+                continue;
+            }
+            
+            const frame = stack[stack.length - 1];
+            
+            // Reached an exit: record the path and back up (paths end at the first exit)
+            if (frame.direction === 0 && maze.isExit(frame)) {
+                if (!this.best || stack.length > this.best.length) {
+                    this.best = stack.map(({ x, y }) => ({ x, y }));
+                }
+                frame.direction = DIRECTIONS.length;
+            }
+            
+            if (frame.direction >= DIRECTIONS.length) {
+                visited[frame.y * maze.width + frame.x] = 0;
+                stack.pop();
+                continue;
+            }
+            
+            const [dx, dy] = DIRECTIONS[frame.direction++];
+            const nx = frame.x + dx;
+            const ny = frame.y + dy;
+            if (maze.isPlowed(nx, ny) && !visited[ny * maze.width + nx]) {
+                visited[ny * maze.width + nx] = 1;
+                stack.push({ x: nx, y: ny, direction: 0 });
+            }
+        }
+        
+        return true;
+    }
+    
+    // Run the longest-path search in slices until it finishes or `timeLimit` ms pass.
+    // onProgress(best) fires every `progressInterval` ms while searching; onDone(best, isComplete)
+    // fires once at the end. Returns a function that cancels the search.
+    run({ sliceDuration = 50, progressInterval = 250, timeLimit = 10000, onProgress, onDone }) {
+        const startTime = Date.now();
+        let lastProgress = startTime;
+        let timeout = null;
+        
+        const slice = () => {
+            const isDone = this.step(sliceDuration);
+            const now = Date.now();
+            
+            if (isDone || now - startTime >= timeLimit) {
+                timeout = null;
+                onDone(this.best, isDone);
+                return;
+            }
+            
+            if (onProgress && now - lastProgress >= progressInterval) {
+                lastProgress = now;
+                onProgress(this.best);
+            }
+            timeout = setTimeout(slice, 0);
+        };
+        
+        timeout = setTimeout(slice, 0);
+        
+        return () => {
+            clearTimeout(timeout);
+            timeout = null;
+        };
+    }
+}
@@ -0,0 +1,29 @@
+// PathStats.worker.js - Runs the longest-path search off the main thread
+//
+// Messages in:  { revision, width, height, grid, entrances, exits } - start a new search
+//               (any search still running is abandoned)
+// Messages out: { revision, type: 'progress', longest }
+//               { revision, type: 'done', longest, isComplete }
+
+import PathStats from './PathStats.js';
+
+let cancel = null;
+
+self.onmessage = (event) => {
+    const { revision } = event.data;
+    
+    if (cancel) {
+        cancel();
+    }
+    
+    const search = new PathStats(PathStats.fromMessage(event.data));
+    cancel = search.run({
+        onProgress: (longest) => {
+            self.postMessage({ revision, type: 'progress', longest });
+        },
+        onDone: (longest, isComplete) => {
+            cancel = null;
+            self.postMessage({ revision, type: 'done', longest, isComplete });
+        }
+    });
+};
@@ -1,21 +1,52 @@
 // Player.js - Represents a player navigating the maze
 
+import Random from './Random.js';
+
+// Meters run from 0 to METER_MAX and change as the visitor walks:
+//   fear     rises when a haunt scares them and in dead ends, and fades a little every step.
+//            Past runFear they run (moving twice as fast, but tiring three times as quickly).
+//   stamina  drains with every step. At zero they stop to rest, then carry on refreshed.
+//   patience drops whenever they walk a cell they've already been to. At zero they give up
+//            and walk the shortest way back to the entrance they came in by.
+const METER_MAX = 100;
+const METERS = {
+    fearPerScare: 35,
+    fearPerDeadEnd: 15,
+    fearDecay: 1, // Per step
+    runFear: 60,
+    staminaPerStep: 0.5,
+    runStaminaMultiplier: 3,
+    patiencePerRevisit: 0.5
+};
+
 export default class Player {
-    constructor(emoji, brain, startPosition, game) {
+    constructor(emoji, brain, startPosition, simulation, random = Math.random) {
         this.emoji = emoji;
         this.brain = brain;
         this.position = { ...startPosition };
-        this.game = game;
+        this.simulation = simulation; // MazeSimulation this player belongs to
+        this.random = random; // This visitor's own random stream (see Random)
         this.visited = new Set();
         this.visitCounts = new Map(); // Track how many times each cell has been visited
         this.path = [{ ...startPosition }];
         this.isActive = true;
-        this.moveInterval = null;
+        this.nextActionTime = null; // Simulated time of the next step (null = nothing scheduled)
+        this.pendingMove = null; // Move decided at an intersection, executed after thinking
         this.isFinished = false;
         this.isRemoved = false; // Flag to hide player after finishing
         this.lastDirection = null; // Track last direction of travel
         this.currentThought = null; // Current thought emote (!, →, 🧠)
-        this.isPaused = false;
+        this.archetype = null; // VisitorArchetypes id for scheduled arrivals (null when spawned by hand)
+        this.scares = 0; // Times a haunt has frightened this visitor
+        this.lastScaredAt = new Map(); // Haunt -> simulated time it last scared this visitor
+        this.fear = 0; // 0-100, see METERS
+        this.stamina = METER_MAX; // 0-100
+        this.patience = METER_MAX; // 0-100
+        this.isResting = false; // Catching their breath after running out of stamina
+        this.hasGivenUp = false; // Out of patience and heading back to the entrance
+        this.returnPath = null; // Cells still to walk on the way out after giving up
+        this.enteredAt = simulation.time; // Simulated time they came in
+        this.endedAt = null; // Simulated time the visit ended (finished, gave up or got stuck)
         
         // Mark starting position as visited
         const startKey = `${startPosition.x},${startPosition.y}`;
@@ -23,155 +54,237 @@ export default class Player {
         this.visitCounts.set(startKey, 1);
     }
     
-    startMoving() {
-        if (!this.isActive) return;
+    // Perform the next scheduled action and return an event describing it.
+    // Called by MazeSimulation.tick() when nextActionTime is due.
+    step() {
+        const simulation = this.simulation;
+        const maze = simulation.maze;
         
-        const move = () => {
-            if (!this.isActive || this.isFinished || this.isPaused) {
-                if (this.isPaused) {
-                    // Check again in 100ms if paused
-                    this.moveInterval = setTimeout(move, 100);
-                }
-                return;
-            }
-            
-            // Check if reached finish
-            const finish = this.game.finishPosition;
-            if (finish && this.position.x === finish.x && this.position.y === finish.y) {
-                this.isFinished = true;
-                this.isActive = false;
-                this.currentThought = '🎉';
-                this.game.render();
-                
-                // Hide player from maze after a short celebration (1 second)
-                setTimeout(() => {
-                    this.isRemoved = true;
-                    this.game.render();
-                }, 1000);
-                
-                return;
+        // Celebration is over - hide player from maze
+        if (this.isFinished) {
+            this.isRemoved = true;
+            this.nextActionTime = null;
+            return { type: 'removed', player: this };
+        }
+        
+        // Gave up - trudge back along the shortest route and leave at the entrance
+        if (this.hasGivenUp) {
+            if (this.returnPath.length === 0) {
+                this.isRemoved = true;
+                this.nextActionTime = null;
+                return { type: 'left', player: this };
             }
             
-            // Get all possible moves
-            const possibleMoves = this.brain.getPossibleMoves(this.position, this.game);
-            
-            // Determine opposite direction (backward)
-            const oppositeDir = {
-                'up': 'down',
-                'down': 'up',
-                'left': 'right',
-                'right': 'left'
-            };
-            const backwardDir = this.lastDirection ? oppositeDir[this.lastDirection] : null;
-            
-            // Filter out backward move to get only forward options
-            const forwardMoves = backwardDir 
-                ? possibleMoves.filter(m => m.direction !== backwardDir)
-                : possibleMoves;
-            
-            let nextMove;
-            let needsDecision = false;
+            const next = this.returnPath.shift();
+            const direction = next.x > this.position.x ? 'right' : next.x < this.position.x ? 'left' :
+                next.y > this.position.y ? 'down' : 'up';
+            this.moveTo({ ...next, direction });
+            return { type: 'moved', player: this };
+        }
+        
+        // Done resting - back on their feet with full stamina
+        if (this.isResting) {
+            this.isResting = false;
+            this.stamina = METER_MAX;
+            this.currentThought = null;
+            this.nextActionTime = simulation.time + this.brain.speed;
+            return { type: 'rested', player: this };
+        }
+        
+        // Finished thinking - execute the move decided at the intersection
+        if (this.pendingMove) {
+            const move = this.pendingMove;
+            this.pendingMove = null;
+            this.moveTo(move);
             
-            // If there's only one forward option (simple turn or straight corridor), take it automatically
-            if (forwardMoves.length === 1) {
-                nextMove = forwardMoves[0];
-                this.currentThought = null; // No thought - automatic movement
-            } else {
-                // Multiple forward options (true intersection) or no forward options (dead end)
-                // Need to make a decision using the AI brain
-                needsDecision = true;
-                const currentPlayerIndex = this.game.players.indexOf(this);
-                const decision = this.brain.decideNextMove(
-                    this.position,
-                    this.visited,
-                    this.visitCounts,
-                    this.game,
-                    this.game.startPosition,
-                    this.game.finishPosition,
-                    this.lastDirection,
-                    this.game.players,
-                    currentPlayerIndex
-                );
-                nextMove = decision.move;
-                this.currentThought = decision.thought;
-            }
+            // Clear thought after move
+            this.currentThought = null;
+            return { type: 'moved', player: this };
+        }
+        
+        // Check if reached any exit
+        if (maze.isExit(this.position)) {
+            this.isFinished = true;
+            this.isActive = false;
+            this.currentThought = '🎉';
             
-            if (nextMove) {
-                // If we need to make a decision, pause to "think" before moving
-                if (needsDecision) {
-                    // Show the thought bubble immediately
-                    this.game.render();
-                    
-                    // Pause for thinking (300ms base, scaled by playback speed)
-                    const thinkingDuration = 300 / this.game.playbackSpeed;
-                    
-                    // After thinking, execute the move
-                    this.moveInterval = setTimeout(() => {
-                        // Check if paused or stopped during thinking
-                        if (!this.isActive || this.isFinished || this.isPaused) {
-                            if (this.isPaused) {
-                                // Check again in 100ms if paused
-                                this.moveInterval = setTimeout(move, 100);
-                            }
-                            return;
-                        }
-                        
-                        // Execute the move
-                        this.position = { x: nextMove.x, y: nextMove.y };
-                        this.lastDirection = nextMove.direction;
-                        this.path.push({ ...this.position });
-                        
-                        // Mark as visited and increment visit count
-                        const key = `${nextMove.x},${nextMove.y}`;
-                        this.visited.add(key);
-                        this.visitCounts.set(key, (this.visitCounts.get(key) || 0) + 1);
-                        
-                        // Clear thought after move
-                        this.currentThought = null;
-                        
-                        // Re-render game
-                        this.game.render();
-                        
-                        // Schedule next move with game speed multiplier
-                        const adjustedSpeed = this.brain.speed / this.game.playbackSpeed;
-                        this.moveInterval = setTimeout(move, adjustedSpeed);
-                    }, thinkingDuration);
-                } else {
-                    // No decision needed - move immediately
-                    this.position = { x: nextMove.x, y: nextMove.y };
-                    this.lastDirection = nextMove.direction;
-                    this.path.push({ ...this.position });
-                    
-                    // Mark as visited and increment visit count
-                    const key = `${nextMove.x},${nextMove.y}`;
-                    this.visited.add(key);
-                    this.visitCounts.set(key, (this.visitCounts.get(key) || 0) + 1);
-                    
-                    // Re-render game
-                    this.game.render();
-                    
-                    // Schedule next move with game speed multiplier
-                    const adjustedSpeed = this.brain.speed / this.game.playbackSpeed;
-                    this.moveInterval = setTimeout(move, adjustedSpeed);
-                }
-            } else {
-                // No valid moves - player is stuck
-                this.isActive = false;
-                this.currentThought = '❌';
-                this.game.render();
-            }
+            // Hide player from maze after a short celebration
+            this.nextActionTime = simulation.time + simulation.celebrationDuration;
+            this.endedAt = simulation.time;
+            return { type: 'finished', player: this };
+        }
+        
+        // A haunt in plain sight overrides whatever the visitor was about to do
+        const fright = this.checkForFright();
+        if (fright) {
+            return fright;
+        }
+        
+        // Meters that have run out stop the visitor in their tracks
+        if (this.patience <= 0) {
+            return this.giveUp();
+        }
+        if (this.stamina <= 0) {
+            this.isResting = true;
+            this.currentThought = '💤';
+            this.nextActionTime = simulation.time + simulation.restDuration;
+            return { type: 'resting', player: this };
+        }
+        
+        // Get all possible moves
+        const possibleMoves = this.brain.getPossibleMoves(this.position, maze);
+        
+        // Determine opposite direction (backward)
+        const oppositeDir = {
+            'up': 'down',
+            'down': 'up',
+            'left': 'right',
+            'right': 'left'
         };
+        const backwardDir = this.lastDirection ? oppositeDir[this.lastDirection] : null;
+        
+        // Filter out backward move to get only forward options
+        const forwardMoves = backwardDir 
+            ? possibleMoves.filter(m => m.direction !== backwardDir)
+            : possibleMoves;
+        
+        // If there's only one forward option (simple turn or straight corridor), take it automatically
+        if (forwardMoves.length === 1) {
+            this.currentThought = null; // No thought - automatic movement
+            this.moveTo(forwardMoves[0]);
+            return { type: 'moved', player: this };
+        }
         
-        // Start the movement loop
-        this.moveInterval = setTimeout(move, this.brain.speed / this.game.playbackSpeed);
+        // Dead ends are unnerving
+        if (forwardMoves.length === 0) {
+            this.fear = Math.min(METER_MAX, this.fear + METERS.fearPerDeadEnd);
+        }
+        
+        // Multiple forward options (true intersection) or no forward options (dead end)
+        // Need to make a decision using the AI brain
+        const currentPlayerIndex = simulation.players.indexOf(this);
+        const decision = this.brain.decideNextMove(
+            this.position,
+            this.visited,
+            this.visitCounts,
+            maze,
+            maze.entrances,
+            maze.exits,
+            this.lastDirection,
+            simulation.players,
+            currentPlayerIndex,
+            this.random
+        );
+        this.currentThought = decision.thought;
+        
+        if (!decision.move) {
+            // No valid moves - player is stuck
+            this.isActive = false;
+            this.currentThought = '❌';
+            this.nextActionTime = null;
+            this.endedAt = simulation.time;
+            return { type: 'stuck', player: this };
+        }
+        
+        // Show the thought bubble and pause to "think" before moving
+        this.pendingMove = decision.move;
+        this.nextActionTime = simulation.time + simulation.thinkingDuration;
+        return { type: 'thinking', player: this };
+    }
+    
+    // React to a visible haunt (each haunt scares a visitor at most once per scareCooldown).
+    // Returns a 'scared' event, or null if nothing frightening is in sight.
+    checkForFright() {
+        const simulation = this.simulation;
+        const haunts = simulation.haunts.filter(haunt =>
+            !this.lastScaredAt.has(haunt) || simulation.time - this.lastScaredAt.get(haunt) >= simulation.scareCooldown);
+        
+        const fright = this.brain.reactToHaunts(this.position, simulation.maze, haunts);
+        if (!fright) {
+            return null;
+        }
+        
+        this.lastScaredAt.set(fright.haunt, simulation.time);
+        this.scares++;
+        this.fear = Math.min(METER_MAX, this.fear + METERS.fearPerScare);
+        fright.haunt.scares++;
+        simulation.scareCount++;
+        this.currentThought = '😱';
+        this.pendingMove = null;
+        
+        const fleeMove = Random.pick(this.random, fright.moves);
+        switch (fright.reaction) {
+            case 'flee':
+                // Bolt away straight off, at double pace
+                this.moveTo(fleeMove);
+                this.nextActionTime = simulation.time + this.brain.speed / 2;
+                break;
+            case 'scream':
+                // Scream on the spot, then run
+                this.pendingMove = fleeMove;
+                this.nextActionTime = simulation.time + simulation.thinkingDuration * 2;
+                break;
+            case 'freeze':
+            default:
+                this.nextActionTime = simulation.time + simulation.freezeDuration;
+                break;
+        }
+        
+        return { type: 'scared', player: this, haunt: fright.haunt, reaction: fright.reaction };
+    }
+    
+    moveTo(move) {
+        this.position = { x: move.x, y: move.y };
+        this.lastDirection = move.direction;
+        this.path.push({ ...this.position });
+        
+        // Mark as visited and increment visit count
+        const key = `${move.x},${move.y}`;
+        const isRevisit = this.visited.has(key);
+        this.visited.add(key);
+        this.visitCounts.set(key, (this.visitCounts.get(key) || 0) + 1);
+        
+        // Every step wears the meters down (running tires faster), and going over old ground tries patience
+        const isRunning = this.isRunning();
+        this.stamina = Math.max(0, this.stamina - METERS.staminaPerStep * (isRunning ? METERS.runStaminaMultiplier : 1));
+        this.fear = Math.max(0, this.fear - METERS.fearDecay);
+        if (isRevisit && !this.hasGivenUp) {
+            this.patience = Math.max(0, this.patience - METERS.patiencePerRevisit);
+        }
+        
+        // Schedule next move at the brain's pace (or faster when running)
+        this.nextActionTime = this.simulation.time + this.getStepDuration();
+    }
+    
+    isRunning() {
+        return this.fear >= METERS.runFear && !this.hasGivenUp;
+    }
+    
+    // Milliseconds between steps: twice as fast when running scared
+    getStepDuration() {
+        return this.isRunning() ? this.brain.speed / 2 : this.brain.speed;
+    }
+    
+    // Head back to the entrance they came in by, the shortest way
+    giveUp() {
+        const path = this.simulation.maze.findPath(this.position, this.path[0]) || [this.position];
+        this.hasGivenUp = true;
+        this.isActive = false; // Haunts and other visitors ignore them from now on
+        this.returnPath = path.slice(1);
+        this.currentThought = '😤';
+        this.nextActionTime = this.simulation.time + this.simulation.thinkingDuration;
+        this.endedAt = this.simulation.time;
+        return { type: 'gave-up', player: this };
+    }
+    
+    static getMeterMax() {
+        return METER_MAX;
     }
     
     stopMoving() {
         this.isActive = false;
-        if (this.moveInterval) {
-            clearTimeout(this.moveInterval);
-            this.moveInterval = null;
-        }
+        this.pendingMove = null;
+        this.nextActionTime = null;
     }
     
     static getBaseEmojis() {
@@ -204,9 +317,13 @@ export default class Player {
         ];
     }
     
-    static getRandomEmoji() {
-        const personEmojis = Player.getBaseEmojis();
-        return personEmojis[Math.floor(Math.random() * personEmojis.length)];
+    static getSkinTones() {
+        // Skin tone modifiers, starting with the default (none)
+        return ['', '🏻', '🏼', '🏽', '🏾', '🏿'];
+    }
+    
+    static getRandomEmoji(random = Math.random) {
+        return Random.pick(random, Player.getBaseEmojis());
     }
     
     static applySkinTone(emoji, skinTone) {
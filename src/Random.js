@@ -0,0 +1,58 @@
+// Random.js - Seeded random numbers, so a run can be played out again exactly
+//
+// Anything random in a run draws from functions made here instead of Math.random. A seed is
+// an unsigned 32-bit integer and always gives the same sequence (mulberry32). One run seed
+// fans out into separate streams with derive(), e.g. one per visitor, so what one visitor
+// draws doesn't shift the numbers every other visitor gets.
+
+export default class Random {
+    // Function returning floats in [0, 1), like Math.random, for a seed
+    static create(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+    
+    // Fresh seed for a run nobody asked to repeat
+    static createSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+    
+    // Seed typed in by the player: whole numbers are used as they are, any other text is hashed
+    // (so "spooky" works as a seed too). Returns null for blank input.
+    static parseSeed(text) {
+        const trimmed = String(text ?? '').trim();
+        if (trimmed === '') {
+            return null;
+        }
+        if (/^\d+$/.test(trimmed) && Number(trimmed) < 4294967296) {
+            return Number(trimmed);
+        }
+        return Random.hash(trimmed);
+    }
+    
+    // Seed of a separate stream, e.g. derive(seed, 'player', 3)
+    static derive(seed, ...keys) {
+        return Random.hash([seed, ...keys].join(':'));
+    }
+    
+    // 32-bit FNV-1a hash of a string
+    static hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+    
+    // Random item of a non-empty list
+    static pick(random, items) {
+        return items[Math.floor(random() * items.length)];
+    }
+}
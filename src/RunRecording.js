@@ -0,0 +1,159 @@
+// RunRecording.js - Timestamped record of a run, for replaying it later
+//
+// DOM-free. While player mode runs, the game hands record() every batch of simulation events.
+// Each visitor gets a track of frames, one per event: where they were, what happened and what
+// they were thinking. 'thinking' frames are the decision points, where they stopped at a
+// junction to choose a way. Haunts get a track of the cells they moved to.
+//
+// Frames are stored as small arrays to keep saved recordings compact:
+//   visitor  [time, x, y, type, thought]   type is the event type ('moved', 'thinking', ...)
+//   haunt    [time, x, y]
+// Times are simulated milliseconds since the recording started. A recording stops taking new
+// frames once it holds MAX_FRAMES, so a long run can't fill up localStorage.
+
+import Haunt from './Haunt.js';
+import VisitorArchetypes from './VisitorArchetypes.js';
+
+const MAX_FRAMES = 15000;
+const KEEP_LIMIT = 3; // Recordings kept with a maze
+
+export default class RunRecording {
+    // `data` is a saved recording (see toData); without one the recording starts empty
+    constructor(data = null) {
+        const saved = data && typeof data === 'object' ? data : {};
+        const isFrame = (frame) => Array.isArray(frame) && frame.length >= 3 && frame.slice(0, 3).every(Number.isFinite);
+        // Visitor frames also carry the event type and a thought (a string, or null for none)
+        const isVisitorFrame = (frame) => isFrame(frame) && typeof frame[3] === 'string' &&
+            (frame[4] === undefined || frame[4] === null || typeof frame[4] === 'string');
+        
+        this.recordedAt = typeof saved.recordedAt === 'string' ? saved.recordedAt : new Date().toISOString();
+        this.layout = typeof saved.layout === 'string' ? saved.layout : null; // RunResults.hashLayout of the maze
+        this.seed = Number.isInteger(saved.seed) ? saved.seed : null; // The run's seed (see Random)
+        // { day, dayTime } on the in-game clock the run started at, which scheduled arrivals follow
+        const runStart = saved.runStart;
+        this.runStart = runStart && Number.isInteger(runStart.day) && runStart.day >= 1 &&
+            Number.isFinite(runStart.dayTime) && runStart.dayTime >= 0 ? { day: runStart.day, dayTime: runStart.dayTime } : null;
+        this.duration = Number.isFinite(saved.duration) ? saved.duration : 0; // Simulated milliseconds
+        // { emoji, archetype, brain, speed, frames }: brain is a one-line summary, speed ms per move
+        this.visitors = Array.isArray(saved.visitors) ? saved.visitors
+            .filter(track => track && typeof track.emoji === 'string' && Array.isArray(track.frames) &&
+                track.frames.every(isVisitorFrame))
+            .map(track => ({
+                emoji: track.emoji,
+                archetype: VisitorArchetypes.getInfo(track.archetype) ? track.archetype : null,
+                brain: typeof track.brain === 'string' ? track.brain : '',
+                speed: Number.isFinite(track.speed) && track.speed > 0 ? track.speed : 1000,
+                frames: track.frames.map(frame => frame.slice(0, 4).concat([frame[4] ?? null]))
+            })) : [];
+        // { type, frames }; tracks of haunt types this version doesn't know are left out
+        this.haunts = Array.isArray(saved.haunts) ? saved.haunts
+            .filter(track => track && Haunt.getInfo(track.type) && Array.isArray(track.frames))
+            .map(track => ({ type: track.type, frames: track.frames.filter(isFrame) })) : [];
+        this.frameCount = [...this.visitors, ...this.haunts].reduce((sum, track) => sum + track.frames.length, 0);
+        
+        this.startTime = 0; // Simulation time the recording started at
+        this.tracks = new Map(); // Player or Haunt -> its track (while recording)
+    }
+    
+    static getKeepLimit() {
+        return KEEP_LIMIT;
+    }
+    
+    // Begin recording a simulation from its current time, starting with where the haunts are.
+    // `runStart` is the { day, dayTime } the run's clock started at, kept with the seed.
+    static start(simulation, layout, runStart = null) {
+        const recording = new RunRecording({ layout, seed: simulation.seed, runStart });
+        recording.startTime = simulation.time;
+        simulation.haunts.forEach(haunt => {
+            const track = { type: haunt.type, frames: [[0, haunt.position.x, haunt.position.y]] };
+            recording.haunts.push(track);
+            recording.tracks.set(haunt, track);
+        });
+        recording.frameCount = recording.haunts.length;
+        return recording;
+    }
+    
+    isFull() {
+        return this.frameCount >= MAX_FRAMES;
+    }
+    
+    // Add a batch of simulation events (each with the `time` it happened). `now` is the
+    // simulation's current time; `describeBrain(player)` gives the summary stored with new visitors.
+    record(events, now, describeBrain) {
+        events.forEach(event => {
+            if (this.isFull()) return;
+            
+            const time = Math.round(event.time - this.startTime);
+            if (event.haunt && event.type === 'haunt-moved') {
+                const track = this.tracks.get(event.haunt);
+                if (track) {
+                    track.frames.push([time, event.haunt.position.x, event.haunt.position.y]);
+                    this.frameCount++;
+                }
+            } else if (event.player) {
+                const player = event.player;
+                this.getVisitorTrack(player, describeBrain).frames.push(
+                    [time, player.position.x, player.position.y, event.type, player.currentThought || null]);
+                this.frameCount++;
+            }
+        });
+        this.duration = Math.max(this.duration, Math.round(now - this.startTime));
+    }
+    
+    // Track for a visitor, starting at the cell and time they came in
+    getVisitorTrack(player, describeBrain) {
+        let track = this.tracks.get(player);
+        if (!track) {
+            const start = player.path[0];
+            track = {
+                emoji: player.emoji,
+                archetype: player.archetype,
+                brain: describeBrain(player),
+                speed: player.brain.speed,
+                frames: [[Math.max(0, Math.round(player.enteredAt - this.startTime)), start.x, start.y, 'entered', null]]
+            };
+            this.visitors.push(track);
+            this.tracks.set(player, track);
+            this.frameCount++;
+        }
+        return track;
+    }
+    
+    // Visitors cleared from the maze all at once leave the recording at `now` too
+    removeVisitors(players, now) {
+        const time = Math.round(now - this.startTime);
+        players.forEach(player => {
+            const track = this.tracks.get(player);
+            const last = track && track.frames[track.frames.length - 1];
+            if (last && last[3] !== 'removed' && last[3] !== 'left') {
+                track.frames.push([time, last[1], last[2], 'removed', null]);
+                this.frameCount++;
+            }
+        });
+    }
+    
+    // Every time something happened, in order and without repeats (for stepping through)
+    getEventTimes() {
+        const times = new Set();
+        [...this.visitors, ...this.haunts].forEach(track => {
+            track.frames.forEach(frame => times.add(frame[0]));
+        });
+        return [...times].sort((a, b) => a - b);
+    }
+    
+    getDecisionCount() {
+        return this.visitors.reduce((sum, track) => sum + track.frames.filter(frame => frame[3] === 'thinking').length, 0);
+    }
+    
+    toData() {
+        return {
+            recordedAt: this.recordedAt,
+            layout: this.layout,
+            seed: this.seed,
+            runStart: this.runStart,
+            duration: this.duration,
+            visitors: this.visitors.map(track => ({ ...track, frames: track.frames.map(frame => [...frame]) })),
+            haunts: this.haunts.map(track => ({ type: track.type, frames: track.frames.map(frame => [...frame]) }))
+        };
+    }
+}
@@ -0,0 +1,177 @@
+// RunReplay.js - Plays a RunRecording back on the board
+//
+// DOM-free. A replay has its own clock: seek() jumps to any point in the recording, advance()
+// moves on with playback, and stepForward() / stepBack() go event by event. Visitors and
+// haunts are stand-ins with the fields the renderers and tooltips read from Player and Haunt,
+// so while a replay is showing the board draws them instead of the live simulation.
+
+import Haunt from './Haunt.js';
+
+// Index of the last frame at or before `time` (-1 if the track hasn't started)
+const findFrame = (frames, time) => {
+    let low = 0;
+    let high = frames.length - 1;
+    let found = -1;
+    while (low <= high) {
+        const middle = (low + high) >> 1;
+        if (frames[middle][0] <= time) {
+            found = middle;
+            low = middle + 1;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return found;
+};
+
+// A recorded visitor, as they were at the replay's current time
+class ReplayVisitor {
+    constructor(track) {
+        this.track = track;
+        this.emoji = track.emoji;
+        this.archetype = track.archetype;
+        this.brain = { speed: track.speed, summary: track.brain };
+        this.isReplay = true;
+        this.frameIndex = null; // Frame currently shown
+        this.position = { x: track.frames[0][1], y: track.frames[0][2] };
+        this.currentThought = null;
+        this.lastEvent = null; // Type of the frame currently shown
+        this.isRemoved = true;
+        this.isFinished = false;
+        this.hasGivenUp = false;
+        this.isResting = false;
+        this.scares = 0;
+        this.path = [];
+        this.visited = new Set();
+        this.visitCounts = new Map();
+    }
+    
+    getStepDuration() {
+        return this.brain.speed;
+    }
+    
+    // Show the frame at or before `time`; returns true if anything changed
+    seek(time) {
+        const index = findFrame(this.track.frames, time);
+        if (index === this.frameIndex) {
+            return false;
+        }
+        this.frameIndex = index;
+        
+        // Replay the track up to here to rebuild the walk and the visitor's state
+        const frames = this.track.frames.slice(0, index + 1);
+        this.path = [];
+        this.visited = new Set();
+        this.visitCounts = new Map();
+        this.scares = 0;
+        frames.forEach(([, x, y, type]) => {
+            const last = this.path[this.path.length - 1];
+            if (!last || last.x !== x || last.y !== y) {
+                const key = `${x},${y}`;
+                this.path.push({ x, y });
+                this.visited.add(key);
+                this.visitCounts.set(key, (this.visitCounts.get(key) || 0) + 1);
+            }
+            if (type === 'scared') {
+                this.scares++;
+            }
+        });
+        
+        const frame = frames[frames.length - 1];
+        const types = new Set(frames.map(([, , , type]) => type));
+        this.lastEvent = frame ? frame[3] : null;
+        this.position = frame ? { x: frame[1], y: frame[2] } : this.position;
+        this.currentThought = frame ? frame[4] : null;
+        this.isRemoved = !frame || this.lastEvent === 'removed' || this.lastEvent === 'left';
+        this.isFinished = types.has('finished');
+        this.hasGivenUp = types.has('gave-up');
+        this.isResting = this.lastEvent === 'resting';
+        return true;
+    }
+}
+
+// A recorded haunt, as it was at the replay's current time
+class ReplayHaunt {
+    constructor(track) {
+        const info = Haunt.getInfo(track.type);
+        this.track = track;
+        this.type = track.type;
+        this.emoji = info ? info.emoji : '👻';
+        this.name = info ? info.name : track.type;
+        this.speed = info ? info.speed : 1000;
+        this.isReplay = true;
+        this.frameIndex = null;
+        this.position = { x: track.frames[0][1], y: track.frames[0][2] };
+    }
+    
+    seek(time) {
+        const index = Math.max(0, findFrame(this.track.frames, time));
+        if (index === this.frameIndex) {
+            return false;
+        }
+        this.frameIndex = index;
+        this.position = { x: this.track.frames[index][1], y: this.track.frames[index][2] };
+        return true;
+    }
+}
+
+export default class RunReplay {
+    constructor(recording) {
+        this.recording = recording;
+        this.duration = recording.duration;
+        this.time = 0; // Simulated milliseconds into the recording
+        this.players = recording.visitors.filter(track => track.frames.length > 0).map(track => new ReplayVisitor(track));
+        this.haunts = recording.haunts.filter(track => track.frames.length > 0).map(track => new ReplayHaunt(track));
+        this.eventTimes = recording.getEventTimes();
+        this.seek(0);
+    }
+    
+    // Jump to `time`; returns true if anything on the board changed
+    seek(time) {
+        this.time = Math.max(0, Math.min(time, this.duration));
+        let changed = false;
+        [...this.players, ...this.haunts].forEach(actor => {
+            changed = actor.seek(this.time) || changed;
+        });
+        return changed;
+    }
+    
+    // Play on by `elapsed` simulated milliseconds (stopping at the end)
+    advance(elapsed) {
+        return this.seek(this.time + elapsed);
+    }
+    
+    isAtEnd() {
+        return this.time >= this.duration;
+    }
+    
+    // To the next moment something happened
+    stepForward() {
+        const next = this.eventTimes.find(time => time > this.time);
+        return this.seek(next ?? this.duration);
+    }
+    
+    // To the last moment something happened before now
+    stepBack() {
+        const previous = [...this.eventTimes].reverse().find(time => time < this.time);
+        return this.seek(previous ?? 0);
+    }
+    
+    // The newest frame shown on the board, as { player, type, thought, time } (null before the first)
+    getLatestEvent() {
+        let latest = null;
+        this.players.forEach(player => {
+            const frame = player.track.frames[player.frameIndex];
+            if (frame && (!latest || frame[0] >= latest.time)) {
+                latest = { player, type: frame[3], thought: frame[4], time: frame[0] };
+            }
+        });
+        return latest;
+    }
+    
+    // Decision points ('thinking' frames) reached so far
+    countDecisions() {
+        return this.players.reduce((sum, player) =>
+            sum + player.track.frames.slice(0, player.frameIndex + 1).filter(frame => frame[3] === 'thinking').length, 0);
+    }
+}
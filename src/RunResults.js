@@ -0,0 +1,160 @@
+// RunResults.js - Results of every visit in the current run, and each maze's leaderboard
+//
+// A run is one stretch of player mode on a layout. When a visitor's visit ends (they finish,
+// give up or get stuck) it becomes a row in the results table. Efficiency compares their walk
+// with the shortest route: 100% means they took it, 50% that they walked twice as far.
+//
+// The ten best finishers on each layout (fewest steps, then quickest) are kept in localStorage,
+// so a maze's leaderboard survives reloads. Layouts are told apart by a hash of their layout,
+// which means any change to the maze starts a fresh board.
+
+import Random from './Random.js';
+
+const STORAGE_KEY = 'cornMazeTycoon_leaderboards';
+const LEADERBOARD_SIZE = 10;
+const MAX_BOARDS = 50; // Layouts with a leaderboard kept before the least recently used is dropped
+
+export default class RunResults {
+    constructor() {
+        this.rows = []; // One per ended visit, in the order they ended
+        this.boards = this.read(); // Layout hash -> { updatedAt, entries }
+        this.revision = 0; // Bumped on every change so views know when to redraw
+    }
+    
+    read() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            const boards = saved ? JSON.parse(saved) : {};
+            if (!boards || typeof boards !== 'object' || Array.isArray(boards)) {
+                return {};
+            }
+            
+            // Boards and entries that don't hold up are dropped rather than breaking the panel
+            const isEntry = (entry) => entry && typeof entry === 'object' &&
+                Number.isInteger(entry.steps) && entry.steps >= 0 && Number.isFinite(entry.time) && entry.time >= 0;
+            const valid = {};
+            Object.entries(boards).forEach(([hash, board]) => {
+                if (!board || typeof board !== 'object' || !Array.isArray(board.entries)) return;
+                const entries = board.entries.filter(isEntry).slice(0, LEADERBOARD_SIZE).map(entry => ({
+                    emoji: typeof entry.emoji === 'string' ? entry.emoji : '🧑',
+                    brain: typeof entry.brain === 'string' ? entry.brain : '',
+                    steps: entry.steps,
+                    time: entry.time,
+                    efficiency: Number.isFinite(entry.efficiency) ? Math.max(0, Math.min(100, entry.efficiency)) : null,
+                    date: typeof entry.date === 'string' ? entry.date : ''
+                })).sort(RunResults.compareFinishers);
+                if (entries.length > 0) {
+                    valid[hash] = { updatedAt: typeof board.updatedAt === 'string' ? board.updatedAt : '', entries };
+                }
+            });
+            return valid;
+        } catch (e) {
+            console.warn('Failed to read leaderboards from localStorage:', e);
+            return {};
+        }
+    }
+    
+    write() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.boards));
+        } catch (e) {
+            console.warn('Failed to save leaderboards to localStorage:', e);
+        }
+    }
+    
+    // Short, stable id for a layout key (see CornMazeGame.getLayoutKey)
+    static hashLayout(layoutKey) {
+        return Random.hash(layoutKey).toString(16).padStart(8, '0');
+    }
+    
+    // Row for a visit that ended with `outcome` ('finished', 'gave-up' or 'stuck').
+    // `shortestLength` is the number of cells on the shortest route (null if unknown),
+    // `brain` a one-line description of how the visitor thinks.
+    static createRow(player, outcome, shortestLength, brain) {
+        const steps = player.path.length - 1;
+        const canCompare = outcome === 'finished' && shortestLength > 1 && steps > 0;
+        return {
+            emoji: player.emoji,
+            brain,
+            steps,
+            time: player.endedAt - player.enteredAt, // Simulated milliseconds
+            efficiency: canCompare ? Math.min(100, Math.round((shortestLength - 1) / steps * 100)) : null,
+            outcome
+        };
+    }
+    
+    // Start a new run: the table empties, leaderboards stay
+    clear() {
+        this.rows = [];
+        this.revision++;
+    }
+    
+    // Add a row to the run; finishers also try for the layout's leaderboard.
+    // Returns the leaderboard place they took (1-10), or null.
+    add(row, layoutHash) {
+        this.rows.push({ ...row, number: this.rows.length + 1 });
+        this.revision++;
+        
+        if (row.outcome !== 'finished' || !layoutHash) {
+            return null;
+        }
+        
+        const board = this.boards[layoutHash] || { entries: [] };
+        const entry = { emoji: row.emoji, brain: row.brain, steps: row.steps, time: row.time,
+            efficiency: row.efficiency, date: new Date().toISOString() };
+        const entries = [...board.entries, entry].sort(RunResults.compareFinishers).slice(0, LEADERBOARD_SIZE);
+        const place = entries.indexOf(entry) + 1;
+        if (place === 0) {
+            return null;
+        }
+        
+        this.boards[layoutHash] = { updatedAt: entry.date, entries };
+        this.pruneBoards();
+        this.write();
+        return place;
+    }
+    
+    // Fewest steps first; equal walks are ranked by time
+    static compareFinishers(a, b) {
+        return a.steps - b.steps || a.time - b.time;
+    }
+    
+    pruneBoards() {
+        const hashes = Object.keys(this.boards);
+        if (hashes.length <= MAX_BOARDS) {
+            return;
+        }
+        hashes
+            .sort((a, b) => this.boards[b].updatedAt.localeCompare(this.boards[a].updatedAt))
+            .slice(MAX_BOARDS)
+            .forEach(hash => delete this.boards[hash]);
+    }
+    
+    getLeaderboard(layoutHash) {
+        const board = this.boards[layoutHash];
+        return board ? board.entries : [];
+    }
+    
+    clearLeaderboard(layoutHash) {
+        delete this.boards[layoutHash];
+        this.write();
+        this.revision++;
+    }
+    
+    // Rows sorted by a column ('number', 'emoji', 'brain', 'steps', 'time', 'efficiency' or
+    // 'outcome'), ascending or descending. Rows without a value (no efficiency) always go last.
+    getSortedRows(column = 'number', descending = false) {
+        const outcomeOrder = { finished: 0, 'gave-up': 1, stuck: 2 };
+        const valueOf = (row) => column === 'outcome' ? outcomeOrder[row.outcome] : row[column];
+        
+        return [...this.rows].sort((a, b) => {
+            const first = valueOf(a);
+            const second = valueOf(b);
+            if (first === null || second === null) {
+                return (first === null) - (second === null) || a.number - b.number;
+            }
+            const order = typeof first === 'string' ? first.localeCompare(second) : first - second;
+            return (descending ? -order : order) || a.number - b.number;
+        });
+    }
+}
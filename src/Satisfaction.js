@@ -0,0 +1,129 @@
+// Satisfaction.js - How much visitors enjoyed the maze, and the star rating that adds up to
+//
+// DOM-free. When a visitor's visit ends (they finish, give up or get stuck) rate() scores it
+// from 0 to 100 and writes a one-line review:
+//   outcome   finishing is what counts most; giving up or getting stuck costs a lot
+//   length    the walk against the shortest route: under 1.5x is too easy, over 4x drags on
+//   revisits  going over the same cells again and again is frustrating
+//   scares    a few frights are part of the fun, too many spoil it
+// Each review converts the score to 1-5 stars; the maze's rating is the average star count.
+
+const MAX_REVIEWS = 50; // Newest reviews kept for the feed
+const OUTCOME_SCORES = { finished: 85, 'gave-up': 35, stuck: 20 };
+
+export default class Satisfaction {
+    // `data` is a saved rating (see toData); anything missing starts with no reviews
+    constructor(data = null) {
+        const saved = data && typeof data === 'object' ? data : {};
+        const clamp = (value, min, max) => Number.isFinite(value) ? Math.max(min, Math.min(max, value)) : min;
+        const count = (value) => Number.isInteger(value) && value >= 0 ? value : 0;
+        
+        this.count = count(saved.count); // Reviews ever written
+        // Totals stay within what `count` reviews could add up to, so the rating is always 1-5 stars
+        this.totalStars = clamp(saved.totalStars, this.count, this.count * 5);
+        this.totalScore = clamp(saved.totalScore, 0, this.count * 100);
+        // Newest first; saved reviews are checked like any other file contents before the feed shows them
+        this.reviews = Array.isArray(saved.reviews) ? saved.reviews
+            .filter(review => review && typeof review === 'object' && Object.keys(OUTCOME_SCORES).includes(review.outcome))
+            .slice(0, MAX_REVIEWS)
+            .map(review => ({
+                emoji: typeof review.emoji === 'string' ? review.emoji : '🧑',
+                outcome: review.outcome,
+                score: clamp(review.score, 0, 100),
+                stars: Math.round(clamp(review.stars, 1, 5)),
+                steps: count(review.steps),
+                revisits: count(review.revisits),
+                scares: count(review.scares),
+                comment: typeof review.comment === 'string' ? review.comment : ''
+            })) : [];
+        this.revision = 0; // Bumped on every new review so views know when to redraw
+    }
+    
+    // Score a finished visit. `outcome` is 'finished', 'gave-up' or 'stuck'; `shortestLength`
+    // is the number of cells on the shortest entrance-to-exit route (null if unknown).
+    // Returns { emoji, outcome, score, stars, steps, revisits, scares, comment }.
+    static rate(player, outcome, shortestLength) {
+        const steps = player.path.length - 1;
+        let revisits = 0;
+        player.visitCounts.forEach(count => {
+            revisits += Math.max(0, count - 1);
+        });
+        
+        let score = OUTCOME_SCORES[outcome] ?? 0;
+        
+        // Walk length against the shortest route (only meaningful for visitors who got out)
+        const ratio = shortestLength > 1 && outcome === 'finished' ? steps / (shortestLength - 1) : null;
+        if (ratio !== null && ratio < 1.5) {
+            score -= Math.round(30 * (1.5 - ratio));
+        } else if (ratio !== null && ratio > 4) {
+            score -= Math.min(30, Math.round((ratio - 4) * 6));
+        }
+        
+        // Share of steps spent on cells they'd already seen
+        const revisitShare = steps > 0 ? revisits / steps : 0;
+        score -= Math.min(25, Math.round(revisitShare * 40));
+        
+        // Up to three scares add to the fun; more than that takes it away again
+        const scares = player.scares;
+        score += scares <= 3 ? scares * 5 : Math.max(-20, 15 - (scares - 3) * 8);
+        
+        score = Math.max(0, Math.min(100, score));
+        const stars = Math.max(1, Math.min(5, Math.round(1 + score / 25)));
+        
+        return {
+            emoji: player.emoji,
+            outcome,
+            score,
+            stars,
+            steps,
+            revisits,
+            scares,
+            comment: Satisfaction.getComment(outcome, score, ratio, revisitShare, scares)
+        };
+    }
+    
+    // One-line review, about whatever stood out most
+    static getComment(outcome, score, ratio, revisitShare, scares) {
+        if (outcome === 'stuck') return 'Got stuck with nowhere to go. Never again.';
+        if (scares > 5) return 'Way too scary for me!';
+        if (outcome === 'gave-up') {
+            return revisitShare > 0.5 ? 'Went round in circles until I gave up.' : 'Lost patience and went home.';
+        }
+        if (ratio !== null && ratio < 1.5) return 'Found the exit in no time. Too easy.';
+        if (ratio !== null && ratio > 6) return 'Fun at first, but it went on forever.';
+        if (revisitShare > 0.5) return 'Kept ending up in the same places.';
+        if (scares > 0 && score >= 75) return 'Loved the frights! 👻';
+        if (score >= 80) return 'Loved it! Just the right amount of lost.';
+        if (score >= 60) return 'A good maze. Would visit again.';
+        return 'It was okay, I guess.';
+    }
+    
+    addReview(review) {
+        this.reviews.unshift(review);
+        if (this.reviews.length > MAX_REVIEWS) {
+            this.reviews.pop();
+        }
+        this.count++;
+        this.totalStars += review.stars;
+        this.totalScore += review.score;
+        this.revision++;
+    }
+    
+    // Average stars over every review (null before the first one)
+    getRating() {
+        return this.count > 0 ? this.totalStars / this.count : null;
+    }
+    
+    getAverageScore() {
+        return this.count > 0 ? this.totalScore / this.count : null;
+    }
+    
+    toData() {
+        return {
+            count: this.count,
+            totalStars: this.totalStars,
+            totalScore: this.totalScore,
+            reviews: this.reviews.map(review => ({ ...review }))
+        };
+    }
+}
@@ -0,0 +1,111 @@
+// TrafficMap.js - Every step every visitor has taken in a run, for the traffic heatmap
+//
+// DOM-free. Sums the same thing as each Player's visitCounts (one count per step onto a
+// cell, plus the cell they came in on), but across all visitors, including those who have
+// already left. Steps are kept in buckets of simulated time and split by the visitor's
+// archetype, so the heatmap can be narrowed to one kind of visitor or to a recent stretch.
+
+const BUCKET_DURATION = 10000; // Simulated milliseconds per time bucket
+
+const WINDOWS = {
+    all: { label: 'Whole run', duration: null },
+    '1m': { label: 'Last minute', duration: 60000 },
+    '5m': { label: 'Last 5 minutes', duration: 300000 },
+    '15m': { label: 'Last 15 minutes', duration: 900000 }
+};
+
+// Heat colours from the quietest cell to the busiest: [red, green, blue, alpha]
+const GRADIENT = [
+    [255, 241, 118, 0.35],
+    [255, 152, 0, 0.55],
+    [211, 47, 47, 0.7]
+];
+
+export default class TrafficMap {
+    constructor() {
+        this.buckets = []; // Per BUCKET_DURATION of the run: Map group -> Map cell key -> steps
+        this.counted = new WeakMap(); // Player -> how much of their path is already counted
+        this.revision = 0; // Bumped whenever steps are added
+    }
+    
+    static getWindows() {
+        return WINDOWS;
+    }
+    
+    // Archetype id for scheduled arrivals, 'custom' for visitors spawned by hand
+    static getGroup(player) {
+        return player.archetype || 'custom';
+    }
+    
+    // Count the new steps of every visitor in a batch of simulation events (each with its `time`)
+    record(events) {
+        events.forEach(event => {
+            const player = event.player;
+            if (!player || player.isReplay) return;
+            
+            const counted = this.counted.get(player) || 0;
+            if (player.path.length <= counted) return;
+            
+            const cells = this.getCells(Math.floor(event.time / BUCKET_DURATION), TrafficMap.getGroup(player));
+            player.path.slice(counted).forEach(({ x, y }) => {
+                const key = `${x},${y}`;
+                cells.set(key, (cells.get(key) || 0) + 1);
+            });
+            this.counted.set(player, player.path.length);
+            this.revision++;
+        });
+    }
+    
+    getCells(index, group) {
+        while (this.buckets.length <= index) {
+            this.buckets.push(new Map());
+        }
+        const bucket = this.buckets[index];
+        if (!bucket.has(group)) {
+            bucket.set(group, new Map());
+        }
+        return bucket.get(group);
+    }
+    
+    // Summed steps per cell as { counts: Map cell key -> steps, max }. `group` is an archetype
+    // id, 'custom' or 'all'; `window` a WINDOWS id, measured back from the simulated time `now`.
+    getCounts(group, window, now) {
+        const from = TrafficMap.getWindowStart(window, now);
+        const counts = new Map();
+        let max = 0;
+        
+        this.buckets.slice(from).forEach(bucket => {
+            bucket.forEach((cells, cellsGroup) => {
+                if (group !== 'all' && group !== cellsGroup) return;
+                cells.forEach((steps, key) => {
+                    const total = (counts.get(key) || 0) + steps;
+                    counts.set(key, total);
+                    max = Math.max(max, total);
+                });
+            });
+        });
+        
+        return { counts, max };
+    }
+    
+    // Bucket the time window starts in, so callers can tell when a window has moved on
+    static getWindowStart(window, now) {
+        const duration = (WINDOWS[window] || WINDOWS.all).duration;
+        return duration === null ? 0 : Math.max(0, Math.floor((now - duration) / BUCKET_DURATION));
+    }
+    
+    // CSS colour for a cell with `fraction` of the busiest cell's steps (0 to 1)
+    static getHeatColor(fraction) {
+        const position = Math.max(0, Math.min(1, fraction)) * (GRADIENT.length - 1);
+        const index = Math.min(Math.floor(position), GRADIENT.length - 2);
+        const t = position - index;
+        const [r, g, b, a] = GRADIENT[index].map((value, channel) => value + (GRADIENT[index + 1][channel] - value) * t);
+        return `rgba(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)}, ${a.toFixed(2)})`;
+    }
+    
+    // CSS gradient running through the heat colours, for the legend
+    static getLegendGradient() {
+        const stops = GRADIENT.map(([r, g, b, a]) => `rgba(${r}, ${g}, ${b}, ${a})`);
+        return `linear-gradient(to right, ${stops.join(', ')})`;
+    }
+}
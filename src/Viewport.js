@@ -0,0 +1,123 @@
+// Viewport.js - Zoom and pan state for the board view
+//
+// The board is drawn at its normal size (content) and shown through a fixed-size window
+// (view). The viewport maps between the two with a uniform scale (zoom) and an offset:
+// a content point (cx, cy) appears at (x + cx * zoom, y + cy * zoom) in the view.
+// All sizes are in CSS pixels; nothing here touches the DOM.
+
+const MAX_ZOOM = 8;
+
+export default class Viewport {
+    constructor() {
+        this.zoom = 1;
+        this.x = 0; // Offset of the content's top-left corner within the view
+        this.y = 0;
+        this.contentWidth = 0;
+        this.contentHeight = 0;
+        this.viewWidth = 0;
+        this.viewHeight = 0;
+    }
+    
+    // Smallest zoom: the whole field fits in the view (never more than the board's normal size)
+    get minZoom() {
+        if (this.contentWidth === 0 || this.contentHeight === 0) return 1;
+        return Math.min(1, this.viewWidth / this.contentWidth, this.viewHeight / this.contentHeight);
+    }
+    
+    get maxZoom() {
+        return MAX_ZOOM;
+    }
+    
+    setSize(contentWidth, contentHeight, viewWidth, viewHeight) {
+        // Keep the same content point in the middle of the view when the content is rescaled
+        const center = this.contentWidth > 0 ? {
+            x: (this.viewWidth / 2 - this.x) / this.zoom / this.contentWidth,
+            y: (this.viewHeight / 2 - this.y) / this.zoom / this.contentHeight
+        } : { x: 0.5, y: 0.5 };
+        
+        this.contentWidth = contentWidth;
+        this.contentHeight = contentHeight;
+        this.viewWidth = viewWidth;
+        this.viewHeight = viewHeight;
+        this.zoom = Math.max(this.minZoom, Math.min(MAX_ZOOM, this.zoom));
+        this.centerOn(center.x * contentWidth, center.y * contentHeight);
+    }
+    
+    // Show the whole field at its normal size (or smaller if it doesn't fit)
+    reset() {
+        this.zoom = this.minZoom;
+        this.centerOn(this.contentWidth / 2, this.contentHeight / 2);
+    }
+    
+    // Scale by `factor`, keeping the content under view point (px, py) in place
+    zoomAt(factor, px, py) {
+        const zoom = Math.max(this.minZoom, Math.min(MAX_ZOOM, this.zoom * factor));
+        const cx = (px - this.x) / this.zoom;
+        const cy = (py - this.y) / this.zoom;
+        
+        this.zoom = zoom;
+        this.x = px - cx * zoom;
+        this.y = py - cy * zoom;
+        this.clamp();
+    }
+    
+    panBy(dx, dy) {
+        this.x += dx;
+        this.y += dy;
+        this.clamp();
+    }
+    
+    // Put content point (cx, cy) in the middle of the view
+    centerOn(cx, cy) {
+        this.x = this.viewWidth / 2 - cx * this.zoom;
+        this.y = this.viewHeight / 2 - cy * this.zoom;
+        this.clamp();
+    }
+    
+    // Pan the least amount needed to keep a content rectangle at least `margin` (content px)
+    // inside the view edges
+    keepInView(rect, margin = 0) {
+        const visible = this.getVisibleRect();
+        const fit = (start, size, visibleStart, visibleSize) => {
+            const space = Math.max(0, (visibleSize - size) / 2);
+            const gap = Math.min(margin, space);
+            if (start - gap < visibleStart) return start - gap - visibleStart;
+            if (start + size + gap > visibleStart + visibleSize) return start + size + gap - (visibleStart + visibleSize);
+            return 0;
+        };
+        
+        const shiftX = fit(rect.left, rect.width, visible.left, visible.width);
+        const shiftY = fit(rect.top, rect.height, visible.top, visible.height);
+        if (shiftX !== 0 || shiftY !== 0) {
+            this.panBy(-shiftX * this.zoom, -shiftY * this.zoom);
+        }
+    }
+    
+    // Part of the content currently on screen, in content pixels
+    getVisibleRect() {
+        return {
+            left: -this.x / this.zoom,
+            top: -this.y / this.zoom,
+            width: this.viewWidth / this.zoom,
+            height: this.viewHeight / this.zoom
+        };
+    }
+    
+    // Whether some of the field is off screen
+    isCropped() {
+        return this.contentWidth * this.zoom > this.viewWidth + 0.5 ||
+            this.contentHeight * this.zoom > this.viewHeight + 0.5;
+    }
+    
+    // Content smaller than the view is centred; larger content can't be dragged past its edges
+    clamp() {
+        const clampAxis = (offset, contentSize, viewSize) => {
+            const size = contentSize * this.zoom;
+            if (size <= viewSize) return (viewSize - size) / 2;
+            return Math.max(viewSize - size, Math.min(0, offset));
+        };
+        
+        this.x = clampAxis(this.x, this.contentWidth, this.viewWidth);
+        this.y = clampAxis(this.y, this.contentHeight, this.viewHeight);
+    }
+}
@@ -0,0 +1,102 @@
+// VisitorArchetypes.js - Kinds of visitor the arrival scheduler draws from
+//
+// Each archetype is a ready-made tier configuration (the same shape the AI settings panel
+// builds, see AIBrain) plus a walking pace and a weight: how common it is relative to the
+// others in the arrival mix. Weights are defaults the player can change.
+
+import AIBrain from './AIBrain.js';
+
+const ARCHETYPES = {
+    wanderer: {
+        label: 'Wanderer',
+        weight: 4,
+        movesPerSecond: [1.5, 2.5],
+        tiers: [
+            [{ type: 'randomGuesser', weight: 1 }],
+            [],
+            []
+        ]
+    },
+    wallHugger: {
+        label: 'Wall Hugger',
+        weight: 2,
+        movesPerSecond: [1.5, 3],
+        tiers: [
+            [{ type: 'wallFollowing', mode: 'left', weight: 0.5 }, { type: 'wallFollowing', mode: 'right', weight: 0.5 }],
+            [{ type: 'randomGuesser', weight: 1 }],
+            []
+        ]
+    },
+    explorer: {
+        label: 'Explorer',
+        weight: 3,
+        movesPerSecond: [2, 3.5],
+        tiers: [
+            [{ type: 'lineOfSight', weight: 1 }],
+            [{ type: 'backtracking', mode: 'avoid', weight: 1 }],
+            [{ type: 'randomGuesser', weight: 1 }]
+        ]
+    },
+    mapReader: {
+        label: 'Map Reader',
+        weight: 1,
+        movesPerSecond: [1, 2],
+        tiers: [
+            [{ type: 'checkMap', weight: 0.7 }, { type: 'towardExit', weight: 0.3 }],
+            [{ type: 'randomGuesser', weight: 1 }],
+            []
+        ]
+    },
+    groupie: {
+        label: 'Groupie',
+        weight: 2,
+        movesPerSecond: [1.5, 2.5],
+        tiers: [
+            [{ type: 'social', mode: 'follow', weight: 1 }],
+            [{ type: 'backtracking', mode: 'avoid', weight: 0.5 }, { type: 'randomGuesser', weight: 0.5 }],
+            []
+        ]
+    }
+};
+
+export default class VisitorArchetypes {
+    static getIds() {
+        return Object.keys(ARCHETYPES);
+    }
+    
+    static getInfo(id) {
+        return Object.hasOwn(ARCHETYPES, id) ? ARCHETYPES[id] : null;
+    }
+    
+    // Default weight of every archetype: { id: weight }
+    static getDefaultWeights() {
+        return Object.fromEntries(Object.entries(ARCHETYPES).map(([id, archetype]) => [id, archetype.weight]));
+    }
+    
+    // Pick an archetype id at random, in proportion to `weights` ({ id: weight }); null if all are zero
+    static pick(weights, random = Math.random) {
+        const entries = Object.entries(weights).filter(([id, weight]) => ARCHETYPES[id] && weight > 0);
+        const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        if (total <= 0) {
+            return null;
+        }
+        
+        let roll = random() * total;
+        for (const [id, weight] of entries) {
+            roll -= weight;
+            if (roll < 0) {
+                return id;
+            }
+        }
+        return entries[entries.length - 1][0];
+    }
+    
+    // Fresh brain for a new visitor of this archetype, walking at a pace within its range
+    static createBrain(id, random = Math.random) {
+        const archetype = ARCHETYPES[id];
+        const [slowest, fastest] = archetype.movesPerSecond;
+        const movesPerSecond = slowest + random() * (fastest - slowest);
+        const tiers = archetype.tiers.map(blocks => ({ blocks: blocks.map(block => ({ mode: null, ...block })) }));
+        return new AIBrain(tiers, 1000 / movesPerSecond);
+    }
+}
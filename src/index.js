@@ -2,6 +2,27 @@ import './index.less';
 import './mobile.less';
 import AIBrain from './AIBrain.js';
 import Player from './Player.js';
+import Maze from './Maze.js';
+import MazeSimulation from './MazeSimulation.js';
+import MazeGenerator from './MazeGenerator.js';
+import MazeFile from './MazeFile.js';
+import MazeLibrary from './MazeLibrary.js';
+import PathStats from './PathStats.js';
+import MazeAnalysis from './MazeAnalysis.js';
+import MazeValidator from './MazeValidator.js';
+import CanvasRenderer from './CanvasRenderer.js';
+import Viewport from './Viewport.js';
+import Haunt from './Haunt.js';
+import Economy from './Economy.js';
+import ArrivalScheduler from './ArrivalScheduler.js';
+import VisitorArchetypes from './VisitorArchetypes.js';
+import Satisfaction from './Satisfaction.js';
+import RunResults from './RunResults.js';
+import RunRecording from './RunRecording.js';
+import RunReplay from './RunReplay.js';
+import Random from './Random.js';
+import Benchmark from './Benchmark.js';
+import TrafficMap from './TrafficMap.js';
 
 class CornMazeGame {
     constructor(width = 20, height = 20) {
@@ -10,15 +31,65 @@ class CornMazeGame {
         this.grid = [];
         this.tractorPosition = { x: Math.floor(width / 2), y: Math.floor(height / 2) };
         this.keys = {};
-        this.startPosition = null;
-        this.finishPosition = null;
+        this.entrances = []; // Perimeter openings visitors spawn at (🚩)
+        this.exits = []; // Perimeter openings visitors try to reach (🏁)
+        this.maxOpenings = 2; // Most entrances + exits the field may have
+        this.haunts = []; // Haunted attractions placed on plowed cells: { type, x, y }
+        this.hauntTool = null; // Haunt type being placed with clicks (farmer mode), or null
+        this.economy = new Economy(); // Cash balance and ledger; kept out of undo, so money spent stays spent
+        this.economyShown = null; // { economy, revision } the economy panel was last drawn for
+        this.economyMessageTimer = null; // Hides the "can't afford" message
+        this.satisfaction = new Satisfaction(); // Visitor reviews and the maze's star rating
+        this.reviewsShown = null; // { satisfaction, revision } the review feed was last drawn for
+        this.results = new RunResults(); // Rows for this run's visitors, and each maze's leaderboard
+        this.resultsShown = null; // { revision, gridRevision, sort } the results panel was last drawn for
+        this.resultsSort = { column: 'number', descending: false }; // Results table order
+        this.recording = null; // RunRecording of the current run (player mode)
+        this.recordings = this.loadRecordings(); // Recordings kept with the maze, newest first
+        this.replay = null; // RunReplay shown on the board in place of the live run, or null
+        this.traffic = new TrafficMap(); // Every step taken by this run's visitors, for the heatmap
+        this.heatmap = { isShown: false, group: 'all', window: 'all' }; // Traffic heatmap settings
+        this.heatmapCounts = null; // { traffic, key, counts, max } summed for the current settings
+        this.heatmapLegendShown = null; // { heatmap, isShown } the legend was last drawn for
+        this.heatOverlaysShown = null; // Heatmap the DOM heat overlays were last drawn for
+        this.simulationStep = 100; // Simulated milliseconds the loop advances the run by at a time
+        this.unsimulatedTime = 0; // Simulated time owed to the run, less than one step
+        this.runStart = null; // { day, dayTime } the run's clock started at (see getRunClock)
+        this.pickerRandom = Math.random; // Dice for the emoji picker, reseeded with every run
         this.shortestPath = null;
         this.longestPath = null;
         this.highlightedPath = null;
+        this.gridRevision = 0; // Bumped whenever the layout changes (see markGridChanged)
+        this.statsRevision = null; // Layout revision the stats panel was last computed for
+        this.longestPathStatus = null; // null, 'computing', 'partial' (ran out of time) or 'complete'
+        this.analysis = null; // MazeAnalysis results for the current layout
+        this.validation = null; // MazeValidator results, cached per layout revision
+        this.validationRevision = null;
+        this.pathStatsWorker = null; // Web Worker running the longest path search
+        this.canUsePathStatsWorker = typeof Worker !== 'undefined';
+        this.pathStatsHandler = null; // Receives results for the current search
+        this.cancelPathSearch = null; // Stops the main-thread fallback search
+        this.pathStatsCache = new Map(); // Layout key -> longest path, for finished searches
+        this.benchmarkWorker = null; // Web Worker running brain benchmarks
+        this.canUseBenchmarkWorker = typeof Worker !== 'undefined';
+        this.benchmarkHandler = null; // Receives messages for the running benchmark
+        this.cancelBenchmarkRun = null; // Stops the main-thread fallback benchmark
+        this.benchmarkId = 0; // Tells the running benchmark's messages from older ones
+        this.renderer = localStorage.getItem('cornMazeTycoon_renderer') === 'canvas' ? 'canvas' : 'dom'; // 'dom' or 'canvas'
+        this.canvasRenderer = null; // CanvasRenderer drawing the board (canvas renderer only)
+        this.viewport = new Viewport(); // Zoom and pan of the board within #board-viewport
+        this.viewportLayout = null; // Field size the view was last reset for
+        this.followedTractor = null; // Tractor cell the view last scrolled to
+        this.minimapLayer = null; // { revision, canvas } thumbnail of the layout behind the minimap
+        this.followedPlayer = null; // Visitor the view follows (player mode, see followPlayer)
+        this.viewBeforeFollow = null; // { zoom, x, y } to return to when following stops
+        this.hoveredPlayer = null; // Visitor under the mouse on the DOM board
+        this.visitCountsShown = null; // { player, steps } the DOM visit-count overlays were drawn for
         this.undoHistory = [];
         this.initialState = null;
         this.gameMode = 'farmer'; // 'farmer' or 'player'
-        this.players = []; // Array of Player instances
+        this.simulation = null; // MazeSimulation driving the players (created in player mode)
+        this.arrivals = new ArrivalScheduler(this.loadArrivalSettings()); // Lets visitors in while the gates are open
         this.emojiList = Player.getBaseEmojis(); // List of available emojis
         this.currentEmojiIndex = 0; // Current emoji index in the list
         this.currentSkinTone = ''; // Current skin tone modifier (empty string = default)
@@ -26,13 +97,29 @@ class CornMazeGame {
         this.playbackSpeed = 1.0; // Speed multiplier (0.5x, 1x, 1.5x, 2x)
         this.isPaused = false;
         this.isMoving = false; // Track if tractor is currently animating
+        this.isReplanting = false; // Replant mode: the tractor turns dirt back into corn
+        this.paintStroke = null; // Active mouse/touch painting stroke (farmer mode)
+        this.flagDrag = null; // Entrance/exit flag being dragged to a new opening (farmer mode)
         this.tractorDirection = 'right'; // Track tractor facing direction
         this.previousTractorDirection = 'right'; // Track previous direction to detect changes
+        this.cellElements = []; // DOM board cells, row by row
+        this.cellStates = []; // What each DOM cell currently shows, so unchanged cells are skipped
+        this.boardState = null; // Inputs the DOM cells were last updated from (see renderCells)
+        this.tractorState = null; // Position, direction and size the tractor element was last drawn with
+        this.playerEntities = new Map(); // Player -> { element, state, thought } on the DOM board
+        this.hauntEntities = new Map(); // Haunt -> { element, state } on the DOM board (player mode)
         this.currentTierConfig = [ // Tier configuration for current player being configured
             { blocks: [] }, // High priority
             { blocks: [] }, // Medium priority
             { blocks: [] }  // Low priority
         ];
+        this.mazeMetadata = { // Name, author and creation date written to exported maze files
+            name: 'Untitled Maze',
+            author: '',
+            created: new Date().toISOString()
+        };
+        this.library = new MazeLibrary(); // Named save slots
+        this.libraryId = null; // Library entry the current maze was loaded from / saved to
         this.dragState = { // Track drag-and-drop state
             draggedBlock: null,
             sourceTier: null,
@@ -44,12 +131,7 @@ class CornMazeGame {
         
         if (!loaded) {
             // Initialize grid: 0 = corn, 1 = dirt (plowed)
-            for (let y = 0; y < height; y++) {
-                this.grid[y] = [];
-                for (let x = 0; x < width; x++) {
-                    this.grid[y][x] = 0; // Start with all corn
-                }
-            }
+            this.grid = Maze.createEmpty(width, height).grid;
             
             // Start position is plowed
             this.grid[this.tractorPosition.y][this.tractorPosition.x] = 1;
@@ -65,21 +147,28 @@ class CornMazeGame {
     getState() {
         // Create a deep copy of the current game state
         return {
+            width: this.width,
+            height: this.height,
             grid: this.grid.map(row => [...row]),
             tractorPosition: { ...this.tractorPosition },
-            startPosition: this.startPosition ? { ...this.startPosition } : null,
-            finishPosition: this.finishPosition ? { ...this.finishPosition } : null
+            maxOpenings: this.maxOpenings,
+            entrances: this.entrances.map(pos => ({ ...pos })),
+            exits: this.exits.map(pos => ({ ...pos })),
+            haunts: this.haunts.map(haunt => ({ ...haunt }))
         };
     }
     
     restoreState(state) {
+        // Undo entries may come from before a resize, so dimensions are restored too
+        this.width = state.width;
+        this.height = state.height;
         this.grid = state.grid.map(row => [...row]);
         this.tractorPosition = { ...state.tractorPosition };
-        this.startPosition = state.startPosition ? { ...state.startPosition } : null;
-        this.finishPosition = state.finishPosition ? { ...state.finishPosition } : null;
-        this.shortestPath = null;
-        this.longestPath = null;
-        this.highlightedPath = null;
+        this.maxOpenings = state.maxOpenings;
+        this.entrances = state.entrances.map(pos => ({ ...pos }));
+        this.exits = state.exits.map(pos => ({ ...pos }));
+        this.haunts = (state.haunts || []).map(haunt => ({ ...haunt }));
+        this.markGridChanged();
     }
     
     saveState() {
@@ -94,6 +183,7 @@ class CornMazeGame {
             // Restore previous state
             const previousState = this.undoHistory[this.undoHistory.length - 1];
             this.restoreState(previousState);
+            this.updateSizeInputs();
             this.saveToLocalStorage();
             this.render();
         }
@@ -104,21 +194,61 @@ class CornMazeGame {
         if (this.initialState) {
             this.restoreState(this.initialState);
             this.undoHistory = [this.getState()];
+            this.updateSizeInputs();
             this.saveToLocalStorage();
             this.render();
         }
     }
     
+    // Layout plus the economy, rating and kept recordings, for maze files and the library (undo only tracks the layout)
+    getSaveState() {
+        return {
+            ...this.getState(),
+            economy: this.economy.toData(),
+            rating: this.satisfaction.toData(),
+            recordings: this.recordings.map(recording => recording.toData())
+        };
+    }
+    
+    get players() {
+        // Players live in the simulation (or a replay stands in for it); there are none outside player mode
+        if (this.replay) {
+            return this.replay.players;
+        }
+        return this.simulation ? this.simulation.players : [];
+    }
+    
+    get activeHaunts() {
+        // Haunts roaming the board, as opposed to the placements in this.haunts
+        if (this.replay) {
+            return this.replay.haunts;
+        }
+        return this.simulation ? this.simulation.haunts : [];
+    }
+    
+    getMaze() {
+        // DOM-free view of the current layout for the simulation and AI brains
+        const maze = new Maze(this.width, this.height, this.grid, this.entrances, this.exits, this.maxOpenings);
+        maze.haunts = this.haunts.map(haunt => ({ ...haunt }));
+        return maze;
+    }
+    
     get gridSize() {
         // For backward compatibility, return width (assuming square grid)
         return this.width;
     }
     
-    getCellSize() {
+    getBoardArea() {
         // Calculate available viewport space, accounting for margins
         const margin = 80; // Margin on each side (40px padding + 40px buffer)
-        const availableWidth = $(window).width() - (margin * 2);
-        const availableHeight = $(window).height() - (margin * 2);
+        return {
+            width: $(window).width() - (margin * 2),
+            height: $(window).height() - (margin * 2)
+        };
+    }
+    
+    getCellSize() {
+        const { width: availableWidth, height: availableHeight } = this.getBoardArea();
         
         // Calculate maximum cell size that fits both width and height
         const maxCellWidth = Math.floor(availableWidth / this.width);
@@ -127,8 +257,8 @@ class CornMazeGame {
         // Use the smaller of the two to ensure it fits in both dimensions
         let cellSize = Math.min(maxCellWidth, maxCellHeight);
         
-        // Set a minimum cell size for very small mazes
-        const minCellSize = 20;
+        // Set a minimum cell size for very small mazes (the canvas can draw large fields much smaller)
+        const minCellSize = this.renderer === 'canvas' ? 4 : 20;
         // Set a maximum cell size to prevent huge cells on very small mazes
         const maxCellSize = 80;
         
@@ -150,16 +280,89 @@ class CornMazeGame {
     
     init() {
         this.createBoard();
+        this.setupRenderer();
         this.setupControls();
+        this.setupPainting();
+        this.setupViewport();
         this.setupStats();
         this.setupSettings();
+        this.setupGenerator();
+        this.setupHaunts();
+        this.setupEconomy();
+        this.setupMazeFile();
+        this.setupLibrary();
         this.setupButtons();
         this.setupModeToggle();
         this.setupPlayerControls();
         this.setupResizeHandler();
+        this.startSimulationLoop();
         this.render();
     }
     
+    startSimulationLoop() {
+        // Drive the headless simulation from animation frames, scaled by playback speed
+        let lastFrameTime = performance.now();
+        
+        const frame = (now) => {
+            // Cap the step so a backgrounded tab doesn't fast-forward on return
+            const elapsed = Math.min(now - lastFrameTime, 250);
+            lastFrameTime = now;
+            
+            if (this.replay) {
+                // The live run waits where it was while a replay plays on its own clock
+                if (!this.isPaused && !this.replay.isAtEnd()) {
+                    if (this.replay.advance(elapsed * this.playbackSpeed)) {
+                        this.render();
+                    }
+                    this.updateReplayControls();
+                }
+            } else if (this.simulation && !this.isPaused) {
+                // The run moves in whole steps of simulated time, whatever the frame rate and playback
+                // speed, so visitors arrive at the same moments and a seed plays out the same run
+                const step = this.simulationStep;
+                const { dayLength } = Economy.getCosts();
+                const events = [];
+                let arrivals = 0;
+                let days = 0;
+                this.unsimulatedTime += elapsed * this.playbackSpeed;
+                
+                while (this.unsimulatedTime >= step) {
+                    this.unsimulatedTime -= step;
+                    
+                    // Open gates let visitors in along the arrival curve, up to the maze's capacity
+                    const clock = this.getRunClock();
+                    const due = this.entrances.length > 0 ? this.arrivals.tick(step / dayLength,
+                        clock.timeOfDay, clock.day, this.countVisitorsInMaze()) : 0;
+                    for (let i = 0; i < due; i++) {
+                        this.admitScheduledVisitor();
+                    }
+                    arrivals += due;
+                    
+                    events.push(...this.simulation.tick(step));
+                    
+                    // Days pass while the maze is open, and each one ends with the haunts' upkeep
+                    days += this.economy.advance(step, this.getDailyUpkeep());
+                }
+                
+                this.reviewVisitors(events);
+                this.recordResults(events);
+                this.recording.record(events, this.simulation.time, player => this.getBrainSummary(player));
+                this.traffic.record(events);
+                if (days > 0) {
+                    this.saveToLocalStorage();
+                }
+                
+                if (events.length > 0 || days > 0 || arrivals > 0) {
+                    this.render();
+                }
+            }
+            
+            requestAnimationFrame(frame);
+        };
+        
+        requestAnimationFrame(frame);
+    }
+    
     setupModeToggle() {
         const toggle = $('#mode-toggle');
         
@@ -171,10 +374,11 @@ class CornMazeGame {
         toggle.on('change', () => {
             const wantsPlayerMode = toggle.prop('checked');
             
-            // Prevent switching to player mode if maze is incomplete
-            if (wantsPlayerMode && (!this.startPosition || !this.finishPosition)) {
+            // Prevent switching to player mode unless the maze is playable
+            const validation = this.getValidation();
+            if (wantsPlayerMode && !validation.isValid) {
                 toggle.prop('checked', false);
-                this.showModeError();
+                this.showModeError(this.describeValidation(validation));
                 return;
             }
             
@@ -186,8 +390,28 @@ class CornMazeGame {
         });
     }
     
-    showModeError() {
+    getValidation() {
+        if (this.validationRevision !== this.gridRevision) {
+            this.validation = new MazeValidator(this.getMaze()).validate();
+            this.validationRevision = this.gridRevision;
+        }
+        return this.validation;
+    }
+    
+    describeValidation(validation) {
+        // The most serious problem, plus a pointer to the rest
+        const [first, ...others] = validation.issues;
+        if (others.length === 0) {
+            return first.message;
+        }
+        return `${first.message} (${others.length} more ${others.length === 1 ? 'problem is' : 'problems are'} marked on the board.)`;
+    }
+    
+    showModeError(message = null) {
         const errorMsg = $('#mode-error-message');
+        if (message) {
+            errorMsg.text(message);
+        }
         const toggle = $('.mode-toggle');
         
         // Add bounce animation
@@ -211,7 +435,7 @@ class CornMazeGame {
     
     updateToggleState() {
         const toggle = $('#mode-toggle');
-        const isComplete = this.startPosition && this.finishPosition;
+        const isComplete = this.getValidation().isValid;
         
         // Hide error if maze becomes complete
         if (isComplete) {
@@ -238,6 +462,9 @@ class CornMazeGame {
             $('#player-sidebar').css('display', 'flex');
             // Hide grid lines
             $('#game-board').addClass('player-mode');
+            this.setHauntTool(null);
+            this.startRun(Random.createSeed());
+            this.updateSpawnEntranceOptions();
             // Update player UI
             this.updatePlayerUI();
         } else {
@@ -246,12 +473,54 @@ class CornMazeGame {
             $('#player-sidebar').css('display', 'none');
             // Show grid lines
             $('#game-board').removeClass('player-mode');
-            // Stop all players
+            // Close the gates, stop all players and drop the simulation until player mode resumes
+            this.arrivals.close();
+            this.stopReplay();
+            this.stopFollowing();
             this.stopAllPlayers();
+            this.simulation = null;
+            this.recording = null;
+        }
+        this.render();
+    }
+    
+    // Start a fresh simulation on the current layout, with every random choice drawn from `seed`.
+    // Arrivals follow the run's own clock, which starts at `start` ({ day, dayTime }) or else at
+    // the economy's time now; restarting from the same start is what lets a seed repeat a run.
+    startRun(seed, start = null) {
+        this.stopReplay();
+        this.stopFollowing();
+        this.simulation = new MazeSimulation(this.getMaze(), { seed });
+        this.runStart = start ? { ...start } : { day: this.economy.day, dayTime: this.economy.dayTime };
+        this.unsimulatedTime = 0;
+        this.pickerRandom = Random.create(Random.derive(seed, 'picker'));
+        this.recording = RunRecording.start(this.simulation, RunResults.hashLayout(this.getLayoutKey()), this.runStart);
+        this.results.clear();
+        this.traffic = new TrafficMap();
+        this.updateRecordingOptions();
+        
+        // Open gates stay open, with nobody left waiting from the last run
+        if (this.arrivals.isOpen) {
+            this.arrivals.close();
+            this.arrivals.open();
         }
+        
+        $('#run-seed').val(seed);
+        this.isPaused = false;
+        $('#pause-play-button').text('⏸');
         this.render();
     }
     
+    // Day and time of day (0-1) the run has reached, counted from where it started
+    getRunClock() {
+        const { dayLength } = Economy.getCosts();
+        const elapsed = this.runStart.dayTime + this.simulation.time;
+        return {
+            day: this.runStart.day + Math.floor(elapsed / dayLength),
+            timeOfDay: (elapsed % dayLength) / dayLength
+        };
+    }
+    
     setupButtons() {
         $('#reset-button').on('click', () => {
             this.resetMaze();
@@ -260,6 +529,10 @@ class CornMazeGame {
         $('#undo-button').on('click', () => {
             this.undo();
         });
+        
+        $('#replant-button').on('click', () => {
+            this.toggleReplantMode();
+        });
     }
     
     setupPlayerControls() {
@@ -309,6 +582,28 @@ class CornMazeGame {
             this.stopAllPlayers();
         });
         
+        // Seed: restart the run with the one typed in, or with a new one
+        $('#restart-run-button').on('click', () => {
+            const seed = Random.parseSeed($('#run-seed').val());
+            this.startRun(seed ?? Random.createSeed(), this.runStart);
+        });
+        
+        $('#new-seed-button').on('click', () => {
+            this.startRun(Random.createSeed());
+        });
+        
+        $('#run-seed').on('keydown', (e) => {
+            if (e.key === 'Enter') {
+                $('#restart-run-button').trigger('click');
+            }
+        });
+        
+        this.setupArrivals();
+        this.setupResults();
+        this.setupReplay();
+        this.setupHeatmap();
+        this.setupBenchmark();
+        
         // Setup logic block drag and drop
         this.setupLogicBlockDragDrop();
         
@@ -316,6 +611,433 @@ class CornMazeGame {
         this.setupSidebarResize();
     }
     
+    setupArrivals() {
+        const scheduler = this.arrivals;
+        const curveSelect = $('#arrival-curve');
+        const rateSlider = $('#arrival-rate');
+        const capacityInput = $('#arrival-capacity');
+        const mix = $('#archetype-mix');
+        
+        ArrivalScheduler.getCurves().forEach(curve => {
+            curveSelect.append($('<option></option>').val(curve.id).text(curve.label));
+        });
+        curveSelect.val(scheduler.curve);
+        rateSlider.val(scheduler.rate);
+        capacityInput.val(scheduler.capacity);
+        
+        // One weight per archetype; the share of arrivals is shown next to it
+        VisitorArchetypes.getIds().forEach(id => {
+            const row = $('<div class="archetype-row"></div>').attr('data-archetype', id);
+            row.append($('<label></label>').attr('for', `archetype-weight-${id}`).text(VisitorArchetypes.getInfo(id).label));
+            row.append($('<input type="number" class="archetype-weight" min="0" max="10" step="1">')
+                .attr('id', `archetype-weight-${id}`).val(scheduler.weights[id]));
+            row.append($('<span class="archetype-share"></span>'));
+            mix.append(row);
+        });
+        
+        curveSelect.on('change', () => {
+            scheduler.curve = curveSelect.val();
+            this.saveArrivalSettings();
+        });
+        
+        rateSlider.on('input', () => {
+            scheduler.rate = parseInt(rateSlider.val(), 10);
+            this.saveArrivalSettings();
+        });
+        
+        capacityInput.on('change', () => {
+            const capacity = parseInt(capacityInput.val(), 10);
+            if (Number.isInteger(capacity) && capacity >= 1) {
+                scheduler.capacity = capacity;
+                this.saveArrivalSettings();
+            }
+            capacityInput.val(scheduler.capacity);
+        });
+        
+        mix.on('change', '.archetype-weight', (e) => {
+            const input = $(e.currentTarget);
+            const id = input.closest('.archetype-row').attr('data-archetype');
+            const weight = parseFloat(input.val());
+            if (Number.isFinite(weight) && weight >= 0) {
+                scheduler.weights[id] = weight;
+                this.saveArrivalSettings();
+            }
+            input.val(scheduler.weights[id]);
+        });
+        
+        $('#arrivals-button').on('click', () => {
+            if (scheduler.isOpen) {
+                scheduler.close();
+            } else {
+                scheduler.open();
+            }
+            this.updateArrivalControls();
+        });
+        
+        this.updateArrivalControls();
+    }
+    
+    loadArrivalSettings() {
+        try {
+            return JSON.parse(localStorage.getItem('cornMazeTycoon_arrivals')) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+    
+    saveArrivalSettings() {
+        localStorage.setItem('cornMazeTycoon_arrivals', JSON.stringify(this.arrivals.toData()));
+        this.updateArrivalControls();
+    }
+    
+    updateArrivalControls() {
+        const scheduler = this.arrivals;
+        const inMaze = this.countVisitorsInMaze();
+        
+        $('#arrivals-button').text(scheduler.isOpen ? '⏹ Close Gates' : '🚪 Open Gates');
+        $('#arrivals-status').text(scheduler.isOpen ?
+            `Open: ${inMaze}/${scheduler.capacity} in the maze${inMaze >= scheduler.capacity ? ' (full)' : ''}` :
+            'Gates closed');
+        $('#arrival-rate-value').text(`${scheduler.rate}/day`);
+        
+        const total = Object.values(scheduler.weights).reduce((sum, weight) => sum + weight, 0);
+        $('#archetype-mix .archetype-row').each((index, row) => {
+            const weight = scheduler.weights[$(row).attr('data-archetype')];
+            $(row).find('.archetype-share').text(total > 0 ? `${Math.round(weight / total * 100)}%` : '—');
+        });
+    }
+    
+    // Visitors whose visit just ended (finished, gave up or stuck) leave a review
+    reviewVisitors(events) {
+        const shortestLength = this.shortestPath ? this.shortestPath.length : null;
+        const endings = events.filter(event => ['finished', 'gave-up', 'stuck'].includes(event.type));
+        
+        endings.forEach(event => {
+            this.satisfaction.addReview(Satisfaction.rate(event.player, event.type, shortestLength));
+        });
+        if (endings.length > 0) {
+            this.saveToLocalStorage();
+        }
+    }
+    
+    // Star rating and the latest reviews, redrawn only when a review comes in
+    updateReviews() {
+        const satisfaction = this.satisfaction;
+        const shown = this.reviewsShown;
+        if (shown && shown.satisfaction === satisfaction && shown.revision === satisfaction.revision) {
+            return;
+        }
+        this.reviewsShown = { satisfaction, revision: satisfaction.revision };
+        
+        const formatStars = (stars) => '★'.repeat(Math.round(stars)) + '☆'.repeat(5 - Math.round(stars));
+        const rating = satisfaction.getRating();
+        $('#rating-stars').text(rating === null ? '☆☆☆☆☆' : formatStars(rating));
+        $('#rating-summary').text(rating === null ? 'No reviews yet' :
+            `${rating.toFixed(1)} from ${satisfaction.count} review${satisfaction.count === 1 ? '' : 's'} · ` +
+            `${Math.round(satisfaction.getAverageScore())}% satisfied`);
+        
+        const feed = $('#review-feed').empty();
+        const outcomes = { finished: 'Finished', 'gave-up': 'Gave up', stuck: 'Got stuck' };
+        satisfaction.reviews.slice(0, 20).forEach(review => {
+            const item = $('<div class="review-item"></div>');
+            item.append($('<span class="review-emoji"></span>').text(review.emoji));
+            const body = $('<div class="review-body"></div>');
+            body.append($('<div class="review-stars"></div>').text(formatStars(review.stars)));
+            body.append($('<div class="review-comment"></div>').text(review.comment));
+            body.append($('<div class="review-meta"></div>').text(
+                `${outcomes[review.outcome]} · ${review.steps} steps · ${review.scares} scare${review.scares === 1 ? '' : 's'}`));
+            item.append(body);
+            feed.append(item);
+        });
+    }
+    
+    // Every visit that ends gets a row in the results table; finishers may make the leaderboard
+    recordResults(events) {
+        const endings = events.filter(event => ['finished', 'gave-up', 'stuck'].includes(event.type));
+        if (endings.length === 0) {
+            return;
+        }
+        
+        const shortestLength = this.shortestPath ? this.shortestPath.length : null;
+        const layoutHash = RunResults.hashLayout(this.getLayoutKey());
+        endings.forEach(event => {
+            const row = RunResults.createRow(event.player, event.type, shortestLength, this.getBrainSummary(event.player));
+            this.results.add(row, layoutHash);
+        });
+    }
+    
+    setupResults() {
+        $('#results-table th').on('click', (e) => {
+            const column = $(e.currentTarget).attr('data-sort');
+            const sort = this.resultsSort;
+            // Clicking the sorted column flips it; a new column starts ascending
+            this.resultsSort = { column, descending: sort.column === column ? !sort.descending : false };
+            this.updateResults();
+        });
+        
+        $('#clear-leaderboard-button').on('click', () => {
+            if (confirm('Clear the leaderboard for this maze?')) {
+                this.results.clearLeaderboard(RunResults.hashLayout(this.getLayoutKey()));
+                this.updateResults();
+            }
+        });
+    }
+    
+    // Results table and leaderboard, redrawn only when a visit ends, the sort changes or the layout does
+    updateResults() {
+        const results = this.results;
+        const sort = this.resultsSort;
+        const shown = this.resultsShown;
+        if (shown && shown.revision === results.revision && shown.gridRevision === this.gridRevision &&
+            shown.sort === sort) {
+            return;
+        }
+        this.resultsShown = { revision: results.revision, gridRevision: this.gridRevision, sort };
+        
+        const outcomes = { finished: 'Finished', 'gave-up': 'Gave up', stuck: 'Stuck' };
+        const formatEfficiency = (efficiency) => efficiency === null ? '—' : `${efficiency}%`;
+        
+        $('#results-table th').each((index, th) => {
+            const isSorted = $(th).attr('data-sort') === sort.column;
+            $(th).toggleClass('sorted-asc', isSorted && !sort.descending).toggleClass('sorted-desc', isSorted && sort.descending);
+        });
+        
+        const body = $('#results-table tbody').empty();
+        results.getSortedRows(sort.column, sort.descending).forEach(result => {
+            const row = $('<tr></tr>');
+            row.append($('<td></td>').text(result.number));
+            row.append($('<td class="result-emoji"></td>').text(result.emoji));
+            row.append($('<td class="result-brain"></td>').text(result.brain).attr('title', result.brain));
+            row.append($('<td></td>').text(result.steps));
+            row.append($('<td></td>').text(this.formatDuration(result.time)));
+            row.append($('<td></td>').text(formatEfficiency(result.efficiency)));
+            row.append($(`<td class="outcome-${result.outcome}"></td>`).text(outcomes[result.outcome]));
+            body.append(row);
+        });
+        if (results.rows.length === 0) {
+            body.append('<tr><td class="results-empty" colspan="7">No visits have ended yet</td></tr>');
+        }
+        
+        const entries = results.getLeaderboard(RunResults.hashLayout(this.getLayoutKey()));
+        const leaderboard = $('#leaderboard').empty();
+        entries.forEach(entry => {
+            const item = $('<li></li>').text(`${entry.emoji} ${entry.steps} steps in ${this.formatDuration(entry.time)} `);
+            const date = new Date(entry.date);
+            item.append($('<span class="leaderboard-meta"></span>').text(
+                `${formatEfficiency(entry.efficiency)} · ${entry.brain}${isNaN(date) ? '' : ` · ${date.toLocaleDateString()}`}`));
+            leaderboard.append(item);
+        });
+        leaderboard.toggle(entries.length > 0);
+        $('#leaderboard-empty').toggle(entries.length === 0);
+        $('#clear-leaderboard-button').toggle(entries.length > 0);
+    }
+    
+    // One line describing how a visitor thinks: the archetype, or the blocks tier by tier
+    getBrainSummary(player) {
+        if (player.archetype) {
+            return VisitorArchetypes.getInfo(player.archetype).label;
+        }
+        const tiers = player.brain.tiers
+            .filter(tier => tier.blocks.length > 0)
+            .map(tier => tier.blocks.map(block => this.getBlockName(block)).join(' / '));
+        return tiers.length > 0 ? tiers.join(' › ') : 'Random Guesser';
+    }
+    
+    // Simulated milliseconds as "12.3s", or "2m 05s" from a minute up
+    formatDuration(ms) {
+        if (ms < 60000) {
+            return `${(ms / 1000).toFixed(1)}s`;
+        }
+        const seconds = Math.floor(ms / 1000);
+        return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+    }
+    
+    loadRecordings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('cornMazeTycoon_recordings'));
+            return Array.isArray(saved) ? saved.map(data => new RunRecording(data)) : [];
+        } catch (e) {
+            return [];
+        }
+    }
+    
+    // Recordings are kept apart from the autosave, which runs far more often than they change
+    saveRecordings() {
+        try {
+            localStorage.setItem('cornMazeTycoon_recordings', JSON.stringify(this.recordings.map(recording => recording.toData())));
+        } catch (e) {
+            console.warn('Failed to save recordings to localStorage:', e);
+        }
+    }
+    
+    setupReplay() {
+        $('#recording-select').on('change', () => {
+            this.updateReplayControls();
+        });
+        
+        $('#replay-button').on('click', () => {
+            if (this.replay) {
+                this.stopReplay();
+            } else {
+                this.startReplay(this.getSelectedRecording());
+            }
+        });
+        
+        $('#keep-recording-button').on('click', () => {
+            this.keepRecording();
+        });
+        
+        $('#delete-recording-button').on('click', () => {
+            const index = Number($('#recording-select').val());
+            if (Number.isInteger(index) && confirm('Delete this recording?')) {
+                this.recordings.splice(index, 1);
+                this.saveRecordings();
+                this.updateRecordingOptions();
+            }
+        });
+        
+        $('#replay-scrubber').on('input', (e) => {
+            if (this.replay && this.replay.seek(Number(e.target.value))) {
+                this.render();
+            }
+            this.updateReplayControls();
+        });
+        
+        $('#replay-step-back').on('click', () => {
+            if (this.replay && this.replay.stepBack()) {
+                this.render();
+            }
+            this.updateReplayControls();
+        });
+        
+        $('#replay-step-forward').on('click', () => {
+            if (this.replay && this.replay.stepForward()) {
+                this.render();
+            }
+            this.updateReplayControls();
+        });
+        
+        this.updateRecordingOptions();
+    }
+    
+    // "This run" plus every kept recording; ones made on another layout can't be replayed here
+    updateRecordingOptions() {
+        const select = $('#recording-select');
+        const previous = select.val();
+        const layout = RunResults.hashLayout(this.getLayoutKey());
+        
+        select.empty().append($('<option></option>').val('current').text('This run'));
+        this.recordings.forEach((recording, index) => {
+            const date = new Date(recording.recordedAt);
+            const label = `${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} · ` +
+                `${recording.visitors.length} visitors · ${this.formatDuration(recording.duration)}`;
+            const isOtherLayout = recording.layout !== layout;
+            select.append($('<option></option>').val(index).prop('disabled', isOtherLayout)
+                .text(isOtherLayout ? `${label} (different layout)` : label));
+        });
+        
+        const option = select.find(`option[value="${previous}"]`);
+        select.val(option.length > 0 && !option.prop('disabled') ? previous : 'current');
+        this.updateReplayControls();
+    }
+    
+    getSelectedRecording() {
+        const choice = $('#recording-select').val();
+        return choice === 'current' ? this.recording : this.recordings[Number(choice)] || null;
+    }
+    
+    // Show a recording on the board in place of the live run
+    startReplay(recording) {
+        if (!recording || recording.visitors.length === 0) {
+            return;
+        }
+        this.stopFollowing();
+        this.replay = new RunReplay(recording);
+        this.render();
+    }
+    
+    // Back to the live run, which carries on from where it was left
+    stopReplay() {
+        if (!this.replay) {
+            return;
+        }
+        this.stopFollowing();
+        this.replay = null;
+        this.render();
+    }
+    
+    // Keep a copy of this run's recording with the maze, so it survives reloads and goes in maze files
+    keepRecording() {
+        if (!this.recording || this.recording.visitors.length === 0) {
+            return;
+        }
+        this.recordings.unshift(new RunRecording(this.recording.toData()));
+        this.recordings.splice(RunRecording.getKeepLimit());
+        this.saveRecordings();
+        this.updateRecordingOptions();
+        $('#recording-select').val(0);
+        this.updateReplayControls();
+    }
+    
+    updateReplayControls() {
+        const replay = this.replay;
+        const selected = this.getSelectedRecording();
+        const isCurrent = $('#recording-select').val() === 'current';
+        
+        $('#replay-button').text(replay ? '⏹ Back to Live' : '▶ Replay')
+            .prop('disabled', !replay && (!selected || selected.visitors.length === 0));
+        $('#recording-select').prop('disabled', !!replay);
+        $('#keep-recording-button').prop('disabled', !!replay || !this.recording || this.recording.visitors.length === 0);
+        $('#delete-recording-button').prop('disabled', !!replay || isCurrent);
+        $('#clear-players-button').prop('disabled', !!replay);
+        $('#replay-container').toggleClass('replaying', !!replay);
+        
+        if (!replay) {
+            $('#recording-info').text(selected && selected.visitors.length > 0 ?
+                `${selected.visitors.length} visitors · ${this.formatDuration(selected.duration)} · ` +
+                `${selected.getDecisionCount()} decision points${selected.seed !== null ? ` · seed ${selected.seed}` : ''}` +
+                `${selected.runStart ? ` from day ${selected.runStart.day} at ${this.formatDuration(selected.runStart.dayTime)}` : ''}` +
+                `${selected.isFull() ? ' · recording full' : ''}` :
+                'Nobody has visited yet in this run.');
+            return;
+        }
+        
+        $('#replay-scrubber').attr('max', replay.duration).val(replay.time);
+        const latest = replay.getLatestEvent();
+        const happening = latest ? ` · ${latest.player.emoji} ${latest.type}${latest.thought ? ` ${latest.thought}` : ''}` +
+            ` at (${latest.player.position.x}, ${latest.player.position.y})` : '';
+        $('#replay-time').text(`${this.formatDuration(replay.time)} / ${this.formatDuration(replay.duration)}`);
+        $('#recording-info').text(`${replay.countDecisions()} decision points so far${happening}`);
+    }
+    
+    countVisitorsInMaze() {
+        return this.players.filter(player => !player.isRemoved).length;
+    }
+    
+    // A scheduled arrival: random look, brain drawn from the archetype mix
+    admitScheduledVisitor() {
+        const random = this.simulation.random;
+        const archetype = this.arrivals.pickArchetype(random);
+        if (!archetype || this.entrances.length === 0) {
+            return;
+        }
+        
+        const emoji = Player.applySkinTone(Player.getRandomEmoji(random), Random.pick(random, Player.getSkinTones()));
+        const player = this.admitVisitor(emoji, VisitorArchetypes.createBrain(archetype, random));
+        player.archetype = archetype;
+    }
+    
+    // Let a visitor into the maze at the chosen entrance; they pay at the gate
+    admitVisitor(emoji, brain) {
+        const player = this.simulation.addPlayer(emoji, brain, this.getSpawnEntrance());
+        
+        if (this.economy.admissionPrice > 0) {
+            this.economy.earn('admission', this.economy.admissionPrice);
+            this.saveToLocalStorage();
+        }
+        return player;
+    }
+    
     setupSidebarResize() {
         const game = this;
         let isResizing = false;
@@ -885,11 +1607,10 @@ class CornMazeGame {
     
     randomizeEmoji() {
         // Pick a random emoji from the list
-        this.currentEmojiIndex = Math.floor(Math.random() * this.emojiList.length);
+        this.currentEmojiIndex = Math.floor(this.pickerRandom() * this.emojiList.length);
         
         // Pick a random skin tone (including default/empty)
-        const skinTones = ['', '🏻', '🏼', '🏽', '🏾', '🏿'];
-        this.currentSkinTone = skinTones[Math.floor(Math.random() * skinTones.length)];
+        this.currentSkinTone = Random.pick(this.pickerRandom, Player.getSkinTones());
         
         // Update the emoji with the new skin tone
         this.currentEmoji = this.getDisplayEmoji();
@@ -918,13 +1639,9 @@ class CornMazeGame {
     }
     
     togglePausePlay() {
+        // The simulation loop simply stops ticking while paused
         this.isPaused = !this.isPaused;
         
-        // Update all players
-        for (const player of this.players) {
-            player.isPaused = this.isPaused;
-        }
-        
         // Update button
         const icon = this.isPaused ? '▶' : '⏸';
         $('#pause-play-button').text(icon);
@@ -937,9 +1654,30 @@ class CornMazeGame {
         this.updatePlayerUI();
     }
     
+    updateSpawnEntranceOptions() {
+        // "Random" plus one choice per entrance; keep the previous choice when it still exists
+        const select = $('#spawn-entrance');
+        const previous = select.val();
+        
+        select.empty().append($('<option></option>').val('random').text('Random entrance'));
+        this.entrances.forEach((pos, index) => {
+            select.append($('<option></option>').val(index).text(`Entrance ${index + 1} (${pos.x}, ${pos.y})`));
+        });
+        
+        select.val(previous !== null && select.find(`option[value="${previous}"]`).length > 0 ? previous : 'random');
+    }
+    
+    getSpawnEntrance() {
+        const choice = $('#spawn-entrance').val();
+        if (choice === 'random' || !this.entrances[choice]) {
+            return Random.pick(this.simulation.random, this.entrances);
+        }
+        return this.entrances[choice];
+    }
+    
     spawnPlayer() {
-        if (!this.startPosition) {
-            return; // Can't spawn without start position
+        if (this.entrances.length === 0 || !this.simulation || this.replay) {
+            return; // Can't spawn without an entrance, or into a replay
         }
         
         // Get current AI settings
@@ -952,13 +1690,8 @@ class CornMazeGame {
         // Create AI brain with tier configuration
         const brain = new AIBrain(tiersCopy, speed);
         
-        // Create player
-        const player = new Player(this.currentEmoji, brain, this.startPosition, this);
-        player.isPaused = this.isPaused;
-        this.players.push(player);
-        
-        // Start player movement
-        player.startMoving();
+        // Add player to the simulation (it starts moving on the next tick)
+        this.admitVisitor(this.currentEmoji, brain);
         
         // Reset tier configuration for next player (deep clean)
         this.currentTierConfig = [
@@ -974,7 +1707,7 @@ class CornMazeGame {
         this.renderTiers();
         
         // Update emoji for next player
-        this.currentEmoji = Player.getRandomEmoji();
+        this.currentEmoji = Player.getRandomEmoji(this.pickerRandom);
         this.updatePlayerUI();
         
         // Render
@@ -982,10 +1715,10 @@ class CornMazeGame {
     }
     
     stopAllPlayers() {
-        for (const player of this.players) {
-            player.stopMoving();
+        if (this.simulation) {
+            this.recording.removeVisitors(this.simulation.players, this.simulation.time);
+            this.simulation.removeAllPlayers();
         }
-        this.players = [];
         this.isPaused = false;
         $('#pause-play-button').text('⏸');
         this.render();
@@ -994,8 +1727,33 @@ class CornMazeGame {
     getPlayerTooltip(player) {
         const movesPerSec = (1000 / player.brain.speed).toFixed(1);
         
+        // Replayed visitors only know what the recording kept
+        if (player.isReplay) {
+            const status = player.hasGivenUp ? 'Gave up' : player.isFinished ? 'Finished' : player.isResting ? 'Resting' : '';
+            return `${player.brain.summary}\nSpeed: ${movesPerSec}/s\nScares: ${player.scares}${status ? `\n${status}` : ''}`;
+        }
+        
         // Build tooltip from tier configuration
-        let tooltip = `Speed: ${movesPerSec}/s\n\n`;
+        let tooltip = player.archetype ? `${VisitorArchetypes.getInfo(player.archetype).label}\n` : '';
+        tooltip += `Speed: ${movesPerSec}/s\n`;
+        tooltip += `Scares: ${player.scares}\n\n`;
+        
+        // Meters as text bars, e.g. "Fear     [###-------]  30"
+        const meterBar = (value) => {
+            const filled = Math.round(value / Player.getMeterMax() * 10);
+            return `[${'#'.repeat(filled)}${'-'.repeat(10 - filled)}] ${String(Math.round(value)).padStart(3)}`;
+        };
+        tooltip += `Fear     ${meterBar(player.fear)}\n`;
+        tooltip += `Stamina  ${meterBar(player.stamina)}\n`;
+        tooltip += `Patience ${meterBar(player.patience)}\n`;
+        if (player.hasGivenUp) {
+            tooltip += 'Gave up - heading out\n';
+        } else if (player.isResting) {
+            tooltip += 'Resting\n';
+        } else if (player.isRunning()) {
+            tooltip += 'Running scared\n';
+        }
+        tooltip += '\n';
         
         const tierNames = ['High', 'Med', 'Low'];
         player.brain.tiers.forEach((tier, index) => {
@@ -1008,34 +1766,7 @@ class CornMazeGame {
                 tier.blocks.forEach(block => {
                     // Calculate percentage relative to this tier's total
                     const percent = totalWeight > 0 ? Math.round((block.weight / totalWeight) * 100) : 0;
-                    let name = '';
-                    switch(block.type) {
-                        case 'wallFollowing':
-                            name = block.mode === 'left' ? 'Left Wall' : 'Right Wall';
-                            break;
-                        case 'rightWall':
-                            name = 'Right Wall';
-                            break;
-                        case 'lineOfSight':
-                            name = 'Line of Sight';
-                            break;
-                        case 'towardExit':
-                            name = 'Toward Exit';
-                            break;
-                        case 'checkMap':
-                            name = 'Check Map';
-                            break;
-                        case 'backtracking':
-                            name = block.mode === 'seek' ? 'Seek Backtracking' : 'Avoid Backtracking';
-                            break;
-                        case 'social':
-                            name = block.mode === 'follow' ? 'Follow Others' : 'Avoid Others';
-                            break;
-                        case 'randomGuesser':
-                            name = 'Random Guesser';
-                            break;
-                    }
-                    tooltip += `  ${name} (${percent}%)\n`;
+                    tooltip += `  ${this.getBlockName(block)} (${percent}%)\n`;
                 });
             }
         });
@@ -1043,6 +1774,29 @@ class CornMazeGame {
         return tooltip.trim();
     }
     
+    // Display name of a logic block, e.g. 'Left Wall'
+    getBlockName(block) {
+        switch(block.type) {
+            case 'wallFollowing':
+                return block.mode === 'left' ? 'Left Wall' : 'Right Wall';
+            case 'rightWall':
+                return 'Right Wall';
+            case 'lineOfSight':
+                return 'Line of Sight';
+            case 'towardExit':
+                return 'Toward Exit';
+            case 'checkMap':
+                return 'Check Map';
+            case 'backtracking':
+                return block.mode === 'seek' ? 'Seek Backtracking' : 'Avoid Backtracking';
+            case 'social':
+                return block.mode === 'follow' ? 'Follow Others' : 'Avoid Others';
+            case 'randomGuesser':
+                return 'Random Guesser';
+        }
+        return block.type;
+    }
+    
     saveToLocalStorage() {
         try {
             const mazeData = {
@@ -1050,8 +1804,14 @@ class CornMazeGame {
                 height: this.height,
                 grid: this.grid,
                 tractorPosition: this.tractorPosition,
-                startPosition: this.startPosition,
-                finishPosition: this.finishPosition
+                maxOpenings: this.maxOpenings,
+                entrances: this.entrances,
+                exits: this.exits,
+                haunts: this.haunts,
+                economy: this.economy.toData(),
+                rating: this.satisfaction.toData(),
+                metadata: this.mazeMetadata,
+                libraryId: this.libraryId
             };
             localStorage.setItem('cornMazeTycoon_maze', JSON.stringify(mazeData));
         } catch (e) {
@@ -1066,16 +1826,31 @@ class CornMazeGame {
             
             const mazeData = JSON.parse(saved);
             
-            // Validate that dimensions match
-            if (mazeData.width !== this.width || mazeData.height !== this.height) {
+            // Validate dimensions and grid shape (any size within the limits is fine)
+            const { min, max } = Maze.getSizeLimits();
+            const isValidSize = (size) => Number.isInteger(size) && size >= min && size <= max;
+            if (!isValidSize(mazeData.width) || !isValidSize(mazeData.height) ||
+                !Array.isArray(mazeData.grid) || mazeData.grid.length !== mazeData.height ||
+                mazeData.grid.some(row => !Array.isArray(row) || row.length !== mazeData.width)) {
                 return false;
             }
             
             // Restore saved state
+            this.width = mazeData.width;
+            this.height = mazeData.height;
             this.grid = mazeData.grid;
             this.tractorPosition = mazeData.tractorPosition;
-            this.startPosition = mazeData.startPosition;
-            this.finishPosition = mazeData.finishPosition;
+            // Older saves had a single start/finish position and a fixed cap of two openings
+            this.maxOpenings = mazeData.maxOpenings || 2;
+            this.entrances = mazeData.entrances || (mazeData.startPosition ? [mazeData.startPosition] : []);
+            this.exits = mazeData.exits || (mazeData.finishPosition ? [mazeData.finishPosition] : []);
+            this.haunts = (mazeData.haunts || []).filter(haunt => Haunt.getInfo(haunt.type));
+            this.economy = new Economy(mazeData.economy);
+            this.satisfaction = new Satisfaction(mazeData.rating);
+            if (mazeData.metadata) {
+                this.mazeMetadata = { ...this.mazeMetadata, ...mazeData.metadata };
+            }
+            this.libraryId = mazeData.libraryId || null;
             
             return true;
         } catch (e) {
@@ -1094,44 +1869,13 @@ class CornMazeGame {
         });
     }
     
-    reset(width, height) {
-        this.width = width;
-        this.height = height;
-        this.grid = [];
-        this.tractorPosition = { x: Math.floor(width / 2), y: Math.floor(height / 2) };
-        this.startPosition = null;
-        this.finishPosition = null;
-        this.shortestPath = null;
-        this.longestPath = null;
-        this.highlightedPath = null;
-        this.hoveringStat = null;
-        this.undoHistory = [];
-        
-        // Initialize grid: 0 = corn, 1 = dirt (plowed)
-        for (let y = 0; y < height; y++) {
-            this.grid[y] = [];
-            for (let x = 0; x < width; x++) {
-                this.grid[y][x] = 0; // Start with all corn
-            }
-        }
-        
-        // Start position is plowed
-        this.grid[this.tractorPosition.y][this.tractorPosition.x] = 1;
-        
-        // Save initial state
-        this.saveState();
-        this.initialState = this.getState();
-        
-        this.render();
-    }
-    
     setupSettings() {
         const widthInput = $('#maze-width');
         const heightInput = $('#maze-height');
+        const { min } = Maze.getSizeLimits();
         
         // Set initial values
-        widthInput.val(this.width);
-        heightInput.val(this.height);
+        this.updateSizeInputs();
         
         // Handle changes with debounce
         let changeTimeout;
@@ -1141,21 +1885,595 @@ class CornMazeGame {
                 const newWidth = parseInt(widthInput.val()) || 20;
                 const newHeight = parseInt(heightInput.val()) || 20;
                 
-                // Clamp values
-                const clampedWidth = Math.max(7, Math.min(30, newWidth));
-                const clampedHeight = Math.max(7, Math.min(30, newHeight));
+                // Clamp values (the DOM board stops at a smaller size than the canvas)
+                const max = this.getMaxFieldSize();
+                const clampedWidth = Math.max(min, Math.min(max, newWidth));
+                const clampedHeight = Math.max(min, Math.min(max, newHeight));
                 
                 widthInput.val(clampedWidth);
                 heightInput.val(clampedHeight);
                 
                 if (clampedWidth !== this.width || clampedHeight !== this.height) {
-                    this.reset(clampedWidth, clampedHeight);
+                    this.resizeField(clampedWidth, clampedHeight, $('#resize-anchor').val());
                 }
             }, 500); // 500ms debounce
         };
         
         widthInput.on('input', handleChange);
         heightInput.on('input', handleChange);
+        
+        // Entrance + exit cap
+        const openingsInput = $('#max-openings');
+        const openingLimits = Maze.getOpeningLimits();
+        openingsInput.attr({ min: openingLimits.min, max: openingLimits.max });
+        openingsInput.on('change', () => {
+            const requested = parseInt(openingsInput.val()) || openingLimits.min;
+            const clamped = Math.max(openingLimits.min, Math.min(openingLimits.max, requested));
+            
+            if (clamped !== this.maxOpenings) {
+                this.setMaxOpenings(clamped);
+            } else {
+                this.updateSizeInputs();
+            }
+        });
+    }
+    
+    updateSizeInputs() {
+        $('#maze-width').val(this.width).attr('max', this.getMaxFieldSize());
+        $('#maze-height').val(this.height).attr('max', this.getMaxFieldSize());
+        $('#max-openings').val(this.maxOpenings);
+    }
+    
+    setMaxOpenings(count) {
+        // The cap can't drop below the openings already plowed
+        const openings = this.countPlowedPerimeterSquares();
+        if (count < openings) {
+            this.updateSizeInputs();
+            this.showResizeMessage(`Can't allow only ${count} openings: ${openings} are already plowed. Replant some first.`, true);
+            return false;
+        }
+        
+        this.saveState();
+        this.maxOpenings = count;
+        this.hideResizeMessage();
+        this.updateSizeInputs();
+        this.saveToLocalStorage();
+        this.render();
+        return true;
+    }
+    
+    resizeField(width, height, anchor) {
+        // Crop or pad the current layout with corn instead of starting over
+        const { maze, offset } = this.getMaze().resize(width, height, anchor);
+        const tractor = { x: this.tractorPosition.x + offset.x, y: this.tractorPosition.y + offset.y };
+        
+        // The tractor has to stay on the field
+        if (!maze.isInBounds(tractor.x, tractor.y)) {
+            this.refuseResize('The tractor would end up outside the field. Drive it away from that edge or choose a different anchor.');
+            return false;
+        }
+        
+        // Cropping can expose plowed cells on the new edge; the perimeter rule still applies
+        const perimeterCount = maze.countPlowedPerimeterSquares();
+        if (perimeterCount > this.maxOpenings) {
+            this.refuseResize(`That would leave ${perimeterCount} plowed cells on the edge of the field, but only ${this.maxOpenings} openings (entrances and exits) are allowed.`);
+            return false;
+        }
+        
+        // Flags only survive if they are still plowed openings on the edge
+        const notes = [];
+        const isOpening = (pos) => maze.isOnPerimeter(pos.x, pos.y) && maze.isPlowed(pos.x, pos.y);
+        const lostEntrances = maze.entrances.length - maze.entrances.filter(isOpening).length;
+        const lostExits = maze.exits.length - maze.exits.filter(isOpening).length;
+        maze.entrances = maze.entrances.filter(isOpening);
+        maze.exits = maze.exits.filter(isOpening);
+        if (lostEntrances > 0) {
+            notes.push(lostEntrances === 1 ? 'an entrance is no longer on the edge' : `${lostEntrances} entrances are no longer on the edge`);
+        }
+        if (lostExits > 0) {
+            notes.push(lostExits === 1 ? 'an exit is no longer on the edge' : `${lostExits} exits are no longer on the edge`);
+        }
+        const lostHaunts = this.haunts.length - maze.haunts.length;
+        if (lostHaunts > 0) {
+            notes.push(lostHaunts === 1 ? 'a haunt was cropped off' : `${lostHaunts} haunts were cropped off`);
+        }
+        
+        // Plowed cells that land on the new edge become openings, just like when plowing
+        for (let y = 0; y < maze.height; y++) {
+            for (let x = 0; x < maze.width; x++) {
+                if (isOpening({ x, y }) && !maze.isEntrance({ x, y }) && !maze.isExit({ x, y })) {
+                    maze.addOpening({ x, y });
+                }
+            }
+        }
+        
+        // Save state before resizing so it can be undone
+        this.saveState();
+        
+        this.width = width;
+        this.height = height;
+        this.grid = maze.grid;
+        this.tractorPosition = tractor;
+        this.entrances = maze.entrances;
+        this.exits = maze.exits;
+        this.haunts = maze.haunts;
+        this.markGridChanged();
+        
+        if (notes.length > 0) {
+            const isComplete = maze.isComplete();
+            this.showResizeMessage(`Resized, but ${notes.join(' and ')}.${isComplete ? '' : ' Plow a new opening to finish the maze.'}`, false);
+        } else {
+            this.hideResizeMessage();
+        }
+        
+        this.updateToggleState();
+        this.saveToLocalStorage();
+        this.render();
+        return true;
+    }
+    
+    refuseResize(reason) {
+        this.updateSizeInputs();
+        this.showResizeMessage(`Can't resize: ${reason}`, true);
+    }
+    
+    showResizeMessage(message, isError) {
+        $('#resize-message').text(message).toggleClass('error', isError).show();
+    }
+    
+    hideResizeMessage() {
+        $('#resize-message').hide();
+    }
+    
+    setupGenerator() {
+        const select = $('#generator-algorithm');
+        
+        // Populate the algorithm choices
+        MazeGenerator.getAlgorithms().forEach(algorithm => {
+            select.append($('<option></option>').val(algorithm.id).text(algorithm.label));
+        });
+        
+        $('#generate-button').on('click', () => {
+            this.generateMaze(select.val());
+        });
+    }
+    
+    generateMaze(algorithm) {
+        if (this.gameMode !== 'farmer') {
+            return;
+        }
+        
+        // A typed seed makes the same layout every time; otherwise the seed used is shown so it can be
+        const seedInput = $('#generator-seed');
+        const seed = Random.parseSeed(seedInput.val()) ?? Random.createSeed();
+        const generator = new MazeGenerator(this.width, this.height, Random.create(seed));
+        const maze = generator.generate(algorithm);
+        
+        // The new layout is plowed and replanted at the usual rates
+        const { plow, replant } = Economy.getCosts();
+        let plowed = 0;
+        let replanted = 0;
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                if (maze.grid[y][x] === 1 && this.grid[y][x] === 0) plowed++;
+                if (maze.grid[y][x] === 0 && this.grid[y][x] === 1) replanted++;
+            }
+        }
+        const cost = plowed * plow + replanted * replant;
+        if (!this.economy.canAfford(cost)) {
+            this.showEconomyMessage(`Not enough money to generate: the new layout costs ${this.formatMoney(cost)}.`);
+            return;
+        }
+        if (plowed > 0) this.economy.spend('plowing', plowed * plow);
+        if (replanted > 0) this.economy.spend('replanting', replanted * replant);
+        
+        // Save state before replacing the layout so the generated maze can be undone
+        this.saveState();
+        
+        this.grid = maze.grid;
+        this.entrances = maze.entrances;
+        this.exits = maze.exits;
+        // Haunts stay wherever the new layout still has dirt
+        this.haunts = this.haunts.filter(haunt => maze.isPlowed(haunt.x, haunt.y));
+        // Park the tractor at the entrance so hand-editing can continue from there
+        this.tractorPosition = { ...maze.entrances[0] };
+        this.markGridChanged();
+        seedInput.attr('placeholder', `Random (last: ${seed})`);
+        
+        this.updateToggleState();
+        this.saveToLocalStorage();
+        this.render();
+    }
+    
+    setupHaunts() {
+        const tools = $('#haunt-tools');
+        
+        // One tool button per haunt type
+        Haunt.getTypes().forEach(type => {
+            const info = Haunt.getInfo(type);
+            tools.append($('<button class="control-button haunt-tool"></button>')
+                .attr('data-haunt', type)
+                .attr('title', `${info.name}: ${info.description}`)
+                .text(info.emoji));
+        });
+        
+        tools.on('click', '.haunt-tool', (e) => {
+            const type = $(e.currentTarget).attr('data-haunt');
+            this.setHauntTool(this.hauntTool === type ? null : type);
+        });
+    }
+    
+    // Choose the haunt type board clicks place (null goes back to plowing)
+    setHauntTool(type) {
+        this.hauntTool = type;
+        $('.haunt-tool').each((index, button) => {
+            $(button).toggleClass('active', $(button).attr('data-haunt') === type);
+        });
+    }
+    
+    // Remove the haunt at a cell, or place the selected one there if it's plain dirt
+    toggleHaunt(cell) {
+        const index = this.haunts.findIndex(haunt => haunt.x === cell.x && haunt.y === cell.y);
+        const maze = this.getMaze();
+        if (index === -1 && (!maze.isPlowed(cell.x, cell.y) || maze.isEntrance(cell) || maze.isExit(cell))) {
+            return;
+        }
+        
+        this.saveState();
+        
+        if (index === -1) {
+            this.haunts.push({ type: this.hauntTool, x: cell.x, y: cell.y });
+        } else {
+            this.haunts.splice(index, 1);
+        }
+        
+        this.saveToLocalStorage();
+        this.render();
+    }
+    
+    setupEconomy() {
+        const admissionInput = $('#admission-price');
+        admissionInput.val(this.economy.admissionPrice);
+        
+        admissionInput.on('change', () => {
+            const price = parseInt(admissionInput.val(), 10);
+            if (Number.isInteger(price) && price >= 0) {
+                this.economy.setAdmissionPrice(price);
+                this.saveToLocalStorage();
+            }
+            admissionInput.val(this.economy.admissionPrice);
+        });
+        
+        $('#ledger-toggle-button').on('click', () => {
+            $('#economy-container').toggleClass('ledger-open');
+        });
+        
+        const { plow, replant } = Economy.getCosts();
+        $('#economy-balance').attr('title', `Plowing costs ${this.formatMoney(plow)} a cell, replanting ${this.formatMoney(replant)}`);
+    }
+    
+    // Total daily upkeep of the placed haunts
+    getDailyUpkeep() {
+        return this.haunts.reduce((total, haunt) => total + Haunt.getInfo(haunt.type).upkeep, 0);
+    }
+    
+    formatMoney(amount) {
+        return `${amount < 0 ? '-' : ''}$${Math.abs(amount).toLocaleString()}`;
+    }
+    
+    showEconomyMessage(message) {
+        const element = $('#economy-message');
+        element.text(message).addClass('show');
+        clearTimeout(this.economyMessageTimer);
+        this.economyMessageTimer = setTimeout(() => {
+            element.removeClass('show');
+        }, 3000);
+    }
+    
+    // Balance, day and ledger, redrawn only when the economy has changed
+    updateEconomy() {
+        const economy = this.economy;
+        const shown = this.economyShown;
+        if (shown && shown.economy === economy && shown.revision === economy.revision) {
+            return;
+        }
+        this.economyShown = { economy, revision: economy.revision };
+        
+        $('#economy-balance').text(this.formatMoney(economy.balance)).toggleClass('negative', economy.balance < 0);
+        $('#economy-day').text(`Day ${economy.day}`);
+        $('#admission-price').val(economy.admissionPrice);
+        
+        // One row per day, newest first; hovering a row shows what the money went on
+        const rows = $('#ledger-table tbody').empty();
+        const days = economy.ledger.slice(-7).reverse();
+        days.forEach(entry => {
+            const { income, expenses, net } = Economy.summarize(entry);
+            const breakdown = [
+                ...Object.entries(entry.income).map(([category, amount]) => `${Economy.getCategoryLabel(category)}: +${this.formatMoney(amount)}`),
+                ...Object.entries(entry.expenses).map(([category, amount]) => `${Economy.getCategoryLabel(category)}: -${this.formatMoney(amount)}`)
+            ];
+            const row = $('<tr></tr>').attr('title', breakdown.join('\n')).toggleClass('today', entry.day === economy.day);
+            row.append($('<td></td>').text(entry.day));
+            row.append($('<td class="income"></td>').text(this.formatMoney(income)));
+            row.append($('<td class="expense"></td>').text(this.formatMoney(expenses)));
+            row.append($('<td></td>').text(this.formatMoney(net)).toggleClass('negative', net < 0));
+            rows.append(row);
+        });
+        if (days.length === 0) {
+            rows.append($('<tr></tr>').append($('<td colspan="4" class="ledger-empty"></td>').text('No money has changed hands yet.')));
+        }
+    }
+    
+    setupMazeFile() {
+        const nameInput = $('#maze-name');
+        const authorInput = $('#maze-author');
+        const fileInput = $('#import-file-input');
+        
+        nameInput.val(this.mazeMetadata.name);
+        authorInput.val(this.mazeMetadata.author);
+        
+        nameInput.on('input', () => {
+            this.mazeMetadata.name = nameInput.val();
+            this.saveToLocalStorage();
+        });
+        
+        authorInput.on('input', () => {
+            this.mazeMetadata.author = authorInput.val();
+            this.saveToLocalStorage();
+        });
+        
+        $('#export-button').on('click', () => {
+            this.exportMaze();
+        });
+        
+        $('#import-button').on('click', () => {
+            fileInput.trigger('click');
+        });
+        
+        fileInput.on('change', () => {
+            const file = fileInput[0].files[0];
+            // Clear the input so choosing the same file again still fires a change
+            fileInput.val('');
+            if (file) {
+                this.importMaze(file);
+            }
+        });
+    }
+    
+    exportMaze() {
+        const contents = MazeFile.serialize(this.getSaveState(), this.mazeMetadata);
+        const slug = (this.mazeMetadata.name || 'maze').trim().toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'maze';
+        
+        // Download through a temporary link
+        const blob = new Blob([contents], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = $('<a></a>').attr({ href: url, download: `${slug}${MazeFile.getExtension()}` });
+        $('body').append(link);
+        link[0].click();
+        link.remove();
+        URL.revokeObjectURL(url);
+        
+        this.showFileMessage(`Exported "${this.mazeMetadata.name}".`);
+    }
+    
+    importMaze(file) {
+        file.text().then(text => {
+            const { state, metadata, errors } = MazeFile.parse(text);
+            
+            if (!state) {
+                this.showFileMessage(`Couldn't import ${file.name}:`, errors);
+                return;
+            }
+            
+            this.loadMazeState(state, metadata);
+            this.showFileMessage(`Imported "${metadata.name}".`);
+        }).catch(e => {
+            console.warn('Failed to read maze file:', e);
+            this.showFileMessage(`Couldn't read ${file.name}.`, [e.message]);
+        });
+    }
+    
+    loadMazeState(state, metadata, libraryId = null) {
+        // Replace the current maze (any size) and start a fresh undo history from it
+        this.libraryId = libraryId;
+        this.width = state.width;
+        this.height = state.height;
+        this.restoreState(state);
+        this.economy = new Economy(state.economy);
+        this.satisfaction = new Satisfaction(state.rating);
+        this.recordings = (state.recordings || []).map(data => new RunRecording(data));
+        this.saveRecordings();
+        this.updateRecordingOptions();
+        this.undoHistory = [];
+        this.saveState();
+        this.initialState = this.getState();
+        
+        this.mazeMetadata = {
+            name: metadata.name,
+            author: metadata.author,
+            created: metadata.created || new Date().toISOString()
+        };
+        
+        this.updateSizeInputs();
+        $('#maze-name').val(this.mazeMetadata.name);
+        $('#maze-author').val(this.mazeMetadata.author);
+        
+        this.updateToggleState();
+        this.saveToLocalStorage();
+        this.renderLibrary();
+        this.render();
+    }
+    
+    showFileMessage(message, errors = []) {
+        const container = $('#file-message');
+        container.empty().toggleClass('error', errors.length > 0);
+        container.append($('<div></div>').text(message));
+        
+        if (errors.length > 0) {
+            const list = $('<ul></ul>');
+            errors.forEach(error => list.append($('<li></li>').text(error)));
+            container.append(list);
+        }
+        
+        container.show();
+    }
+    
+    setupLibrary() {
+        const game = this;
+        const list = $('#library-list');
+        
+        $('#library-save-button').on('click', () => {
+            this.saveToLibrary();
+        });
+        
+        list.on('click', '.library-load', function() {
+            game.loadFromLibrary($(this).closest('.library-item').attr('data-id'));
+        });
+        
+        list.on('click', '.library-duplicate', function() {
+            game.library.duplicate($(this).closest('.library-item').attr('data-id'));
+            game.renderLibrary();
+        });
+        
+        list.on('click', '.library-delete', function() {
+            const id = $(this).closest('.library-item').attr('data-id');
+            const entry = game.library.get(id);
+            if (entry && confirm(`Delete "${entry.data.metadata.name}" from the library?`)) {
+                game.library.remove(id);
+                if (game.libraryId === id) {
+                    game.libraryId = null;
+                    game.saveToLocalStorage();
+                }
+                game.renderLibrary();
+            }
+        });
+        
+        list.on('click', '.library-rename', function() {
+            game.startLibraryRename($(this).closest('.library-item'));
+        });
+        
+        this.renderLibrary();
+    }
+    
+    saveToLibrary() {
+        // Update the slot this maze came from, or add a new one
+        const stats = {
+            shortest: this.shortestPath ? this.shortestPath.length : null,
+            longest: this.longestPath ? this.longestPath.length : null
+        };
+        const entry = this.library.save(this.getSaveState(), this.mazeMetadata, stats, this.libraryId);
+        
+        this.libraryId = entry.id;
+        this.saveToLocalStorage();
+        this.renderLibrary();
+    }
+    
+    loadFromLibrary(id) {
+        const { state, metadata, errors } = this.library.load(id);
+        
+        if (!state) {
+            this.showFileMessage('Couldn\'t load that maze:', errors);
+            return;
+        }
+        
+        this.loadMazeState(state, metadata, id);
+    }
+    
+    startLibraryRename(item) {
+        const id = item.attr('data-id');
+        const entry = this.library.get(id);
+        if (!entry) return;
+        
+        const nameElement = item.find('.library-name');
+        const input = $('<input type="text" class="library-name-input" maxlength="60">').val(entry.data.metadata.name);
+        nameElement.replaceWith(input);
+        input.trigger('focus').trigger('select');
+        
+        let finished = false;
+        const finish = (commit) => {
+            if (finished) return;
+            finished = true;
+            
+            const name = input.val().trim();
+            if (commit && name) {
+                this.library.rename(id, name);
+                // Keep the open maze's metadata in sync with its slot
+                if (this.libraryId === id) {
+                    this.mazeMetadata.name = name;
+                    $('#maze-name').val(name);
+                    this.saveToLocalStorage();
+                }
+            }
+            this.renderLibrary();
+        };
+        
+        input.on('keydown', (e) => {
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+        input.on('blur', () => finish(true));
+    }
+    
+    renderLibrary() {
+        const list = $('#library-list');
+        list.empty();
+        
+        const entries = this.library.list();
+        if (entries.length === 0) {
+            list.append('<div class="library-empty">No saved mazes yet.</div>');
+            return;
+        }
+        
+        entries.forEach(entry => {
+            const { data, stats } = entry;
+            const item = $('<div class="library-item"></div>').attr('data-id', entry.id);
+            item.toggleClass('current', entry.id === this.libraryId);
+            
+            const formatStat = (value) => value === null ? '—' : value;
+            const details = $('<div class="library-details"></div>').append(
+                $('<div class="library-name"></div>').text(data.metadata.name),
+                $('<div class="library-meta"></div>').text(`${data.width} × ${data.height} · Shortest ${formatStat(stats.shortest)} · Longest ${formatStat(stats.longest)}`),
+                $(`
+                    <div class="library-actions">
+                        <button class="library-load" title="Load"><i class="fas fa-folder-open"></i></button>
+                        <button class="library-rename" title="Rename"><i class="fas fa-pen"></i></button>
+                        <button class="library-duplicate" title="Duplicate"><i class="fas fa-copy"></i></button>
+                        <button class="library-delete" title="Delete"><i class="fas fa-trash"></i></button>
+                    </div>
+                `)
+            );
+            
+            item.append(this.createMazeThumbnail(data), details);
+            list.append(item);
+        });
+    }
+    
+    createMazeThumbnail(data, maxSize = 64) {
+        // Small canvas preview: one block of pixels per cell
+        const scale = Math.max(1, Math.floor(maxSize / Math.max(data.width, data.height)));
+        const canvas = $('<canvas class="library-thumbnail"></canvas>')[0];
+        canvas.width = data.width * scale;
+        canvas.height = data.height * scale;
+        
+        const context = canvas.getContext('2d');
+        for (let y = 0; y < data.height; y++) {
+            for (let x = 0; x < data.width; x++) {
+                context.fillStyle = data.grid[y][x] === 1 ? '#a48174' : '#2e7d32';
+                context.fillRect(x * scale, y * scale, scale, scale);
+            }
+        }
+        
+        // Mark entrances and exits
+        const { entrances, exits } = MazeFile.getOpenings(data);
+        [[entrances, '#e53935'], [exits, '#212121']].forEach(([positions, color]) => {
+            context.fillStyle = color;
+            positions.forEach(pos => {
+                context.fillRect(pos.x * scale, pos.y * scale, scale, scale);
+            });
+        });
+        
+        return canvas;
     }
     
     setupStats() {
@@ -1182,6 +2500,17 @@ class CornMazeGame {
             this.highlightedPath = null;
             this.render();
         });
+        
+        // Difficulty analysis rows highlight the cells each metric counts
+        $('.analysis-stat').on('mouseenter', (e) => {
+            this.hoveringStat = $(e.currentTarget).data('analysis');
+            this.updateHighlight();
+            this.render();
+        }).on('mouseleave', () => {
+            this.hoveringStat = null;
+            this.highlightedPath = null;
+            this.render();
+        });
     }
     
     updateHighlight() {
@@ -1190,6 +2519,9 @@ class CornMazeGame {
             this.highlightedPath = this.shortestPath;
         } else if (this.hoveringStat === 'longest' && this.longestPath) {
             this.highlightedPath = this.longestPath;
+        } else if (this.analysis && this.analysis[this.hoveringStat]) {
+            const cells = this.analysis[this.hoveringStat].cells;
+            this.highlightedPath = cells.length > 0 ? cells : null;
         } else {
             this.highlightedPath = null;
         }
@@ -1201,10 +2533,85 @@ class CornMazeGame {
         board.css('grid-template-columns', `repeat(${this.width}, ${cellSize}px)`);
     }
     
+    setupRenderer() {
+        const select = $('#renderer-select');
+        select.on('change', () => {
+            if (!this.setRenderer(select.val())) {
+                select.val(this.renderer);
+            }
+        });
+        
+        // The board starts out as DOM cells; render() switches fields that are too large for them
+        select.val(this.renderer);
+        if (this.renderer === 'canvas') {
+            this.setRenderer('canvas');
+        }
+    }
+    
+    // Largest field the renderer can show; the DOM board gets slow past 30x30
+    getMaxFieldSize(renderer = this.renderer) {
+        return renderer === 'canvas' ? Maze.getSizeLimits().max : 30;
+    }
+    
+    // Switch between the DOM board and the canvas. Returns false if the field is too large for `name`.
+    setRenderer(name) {
+        const max = this.getMaxFieldSize(name);
+        if (this.width > max || this.height > max) {
+            this.showResizeMessage(`The DOM board only goes up to ${max}x${max}. Shrink the field first.`, true);
+            return false;
+        }
+        
+        const board = $('#game-board');
+        this.renderer = name;
+        $('#renderer-select').val(name);
+        board.toggleClass('canvas-board', name === 'canvas');
+        localStorage.setItem('cornMazeTycoon_renderer', name);
+        
+        if (name === 'canvas' && !this.canvasRenderer) {
+            // Clear out the DOM board's cells and entities
+            board.find('.grid-cell, .tractor-wrapper, .entity-player, .entity-haunt').remove();
+            board.removeAttr('data-columns');
+            this.playerEntities.clear();
+            this.hauntEntities.clear();
+            this.hoveredPlayer = null;
+            this.visitCountsShown = null;
+            this.canvasRenderer = new CanvasRenderer(this);
+            this.canvasRenderer.attach(board);
+        } else if (name === 'dom' && this.canvasRenderer) {
+            this.canvasRenderer.detach();
+            this.canvasRenderer = null;
+        }
+        
+        this.hideResizeMessage();
+        this.updateSizeInputs();
+        this.render();
+        return true;
+    }
+    
     setupControls() {
         $(document).on('keydown', (e) => {
+            // Let text fields (maze name, author, etc.) receive their own keystrokes
+            if ($(e.target).is('input, textarea, select')) {
+                return;
+            }
+            
             const key = e.key.toLowerCase();
             
+            // Stop following a visitor
+            if (key === 'escape' && this.followedPlayer) {
+                e.preventDefault();
+                this.stopFollowing();
+                this.render();
+                return;
+            }
+            
+            // Put the haunt tool down
+            if (key === 'escape' && this.hauntTool) {
+                e.preventDefault();
+                this.setHauntTool(null);
+                return;
+            }
+            
             // Handle reset and undo shortcuts
             if (key === 'r') {
                 e.preventDefault();
@@ -1216,6 +2623,11 @@ class CornMazeGame {
                 this.undo();
                 return;
             }
+            if (key === 'h') {
+                e.preventDefault();
+                this.toggleReplantMode();
+                return;
+            }
             
             // Prevent default for arrow keys and WASD to avoid scrolling
             if (['arrowup', 'arrowdown', 'arrowleft', 'arrowright', 'w', 'a', 's', 'd'].includes(key)) {
@@ -1230,15 +2642,700 @@ class CornMazeGame {
         });
     }
     
+    setupPainting() {
+        // Click-drag (or touch-drag) across the board to drive the tractor along the stroke.
+        // Dragging an entrance/exit flag moves it instead.
+        const board = $('#game-board');
+        
+        board.on('pointerdown', (e) => {
+            // Shift-drag pans the view instead (see setupViewport)
+            if (this.gameMode !== 'farmer' || !e.originalEvent.isPrimary || e.originalEvent.button !== 0 || e.shiftKey) {
+                return;
+            }
+            
+            e.preventDefault();
+            board[0].setPointerCapture(e.originalEvent.pointerId);
+            
+            const cell = this.getCellFromPoint(e.clientX, e.clientY);
+            const maze = this.getMaze();
+            
+            // With a haunt tool picked, clicks place and remove haunts instead of plowing
+            if (this.hauntTool) {
+                if (cell) {
+                    this.toggleHaunt(cell);
+                }
+                return;
+            }
+            
+            if (cell && (maze.isEntrance(cell) || maze.isExit(cell))) {
+                this.flagDrag = { pointerId: e.originalEvent.pointerId, from: cell, target: null, isValid: false };
+                this.render();
+                return;
+            }
+            
+            this.paintStroke = {
+                pointerId: e.originalEvent.pointerId,
+                queue: [], // Cells still to drive to, in order
+                end: { ...this.tractorPosition }, // Where the stroke currently ends
+                hasStarted: false, // Whether the stroke has connected to the tractor yet
+                savedUndo: false // Whether the pre-stroke state is on the undo stack
+            };
+            this.extendPaintStroke(this.getCellFromPoint(e.clientX, e.clientY));
+        });
+        
+        board.on('pointermove', (e) => {
+            const cell = this.getCellFromPoint(e.clientX, e.clientY);
+            
+            if (this.flagDrag && e.originalEvent.pointerId === this.flagDrag.pointerId) {
+                const drag = this.flagDrag;
+                if (cell && drag.target && cell.x === drag.target.x && cell.y === drag.target.y) return;
+                
+                drag.target = cell;
+                drag.isValid = !!cell && this.canMoveOpening(drag.from, cell);
+                this.render();
+                return;
+            }
+            
+            if (!this.paintStroke || e.originalEvent.pointerId !== this.paintStroke.pointerId) {
+                return;
+            }
+            this.extendPaintStroke(cell);
+        });
+        
+        board.on('pointerup pointercancel', (e) => {
+            if (this.flagDrag && e.originalEvent.pointerId === this.flagDrag.pointerId) {
+                const drag = this.flagDrag;
+                this.flagDrag = null;
+                if (e.type === 'pointerup' && drag.isValid) {
+                    this.moveOpening(drag.from, drag.target);
+                } else {
+                    this.render();
+                }
+                return;
+            }
+            
+            if (this.paintStroke && e.originalEvent.pointerId === this.paintStroke.pointerId) {
+                // Let the tractor finish the queued cells, but accept no new ones
+                this.paintStroke.isReleased = true;
+            }
+        });
+    }
+    
+    getCellFromPoint(clientX, clientY) {
+        // Works from the board's on-screen box, so it stays correct under CSS transforms
+        const rect = $('#game-board')[0].getBoundingClientRect();
+        const x = Math.floor((clientX - rect.left) / (rect.width / this.width));
+        const y = Math.floor((clientY - rect.top) / (rect.height / this.height));
+        
+        if (x < 0 || x >= this.width || y < 0 || y >= this.height) {
+            return null;
+        }
+        return { x, y };
+    }
+    
+    setupViewport() {
+        // Mouse wheel / pinch to zoom; middle-drag or shift-drag to pan (plain drag in player mode,
+        // where it doesn't paint). Dragging on the minimap moves the view there.
+        const viewport = $('#board-viewport');
+        const minimap = $('#minimap');
+        const pointers = new Map(); // Pointers taking part in a pan or pinch: pointerId -> { x, y }
+        let isPanning = false; // Whether a single pointer is dragging the view
+        let press = null; // { pointerId, x, y } of a player-mode press that may turn out to be a click
+        
+        // Pointer position relative to the view (inside the viewport's padding)
+        const getViewPoint = (e) => {
+            const rect = viewport[0].getBoundingClientRect();
+            const padding = parseFloat(viewport.css('padding-left')) || 0;
+            return { x: e.clientX - rect.left - padding, y: e.clientY - rect.top - padding };
+        };
+        
+        viewport.on('wheel', (e) => {
+            e.preventDefault();
+            const event = e.originalEvent;
+            const delta = event.deltaY * (event.deltaMode === 1 ? 16 : 1); // Lines -> pixels
+            const point = getViewPoint(e);
+            this.viewport.zoomAt(Math.exp(-delta * 0.002), point.x, point.y);
+            this.applyViewport();
+        });
+        
+        viewport.on('pointerdown', (e) => {
+            const event = e.originalEvent;
+            if (minimap.is(e.target) || $(e.target).closest('#follow-banner').length > 0) return;
+            
+            // A press that doesn't turn into a drag picks a visitor to follow
+            press = this.gameMode === 'player' && event.isPrimary ?
+                { pointerId: event.pointerId, x: e.clientX, y: e.clientY } : null;
+            
+            if (event.pointerType === 'touch') {
+                // A second finger turns any paint stroke or flag drag into a pinch
+                pointers.set(event.pointerId, getViewPoint(e));
+                if (pointers.size === 2) {
+                    this.cancelBoardDrag();
+                }
+                isPanning = pointers.size === 1 && this.gameMode === 'player';
+                return;
+            }
+            
+            const wantsPan = event.button === 1 || (event.button === 0 && (e.shiftKey || this.gameMode === 'player'));
+            if (!wantsPan) return;
+            
+            e.preventDefault();
+            viewport[0].setPointerCapture(event.pointerId);
+            pointers.set(event.pointerId, getViewPoint(e));
+            isPanning = true;
+            viewport.addClass('panning');
+        });
+        
+        viewport.on('pointermove', (e) => {
+            const pointerId = e.originalEvent.pointerId;
+            if (!pointers.has(pointerId)) return;
+            
+            const point = getViewPoint(e);
+            if (pointers.size === 2) {
+                // Pinch: zoom by the change in finger spread, pan by the movement of their midpoint
+                const [other] = [...pointers.entries()].filter(([id]) => id !== pointerId).map(([, p]) => p);
+                const previous = pointers.get(pointerId);
+                const spread = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+                const before = { x: (previous.x + other.x) / 2, y: (previous.y + other.y) / 2 };
+                const after = { x: (point.x + other.x) / 2, y: (point.y + other.y) / 2 };
+                
+                if (spread(previous, other) > 0) {
+                    this.viewport.zoomAt(spread(point, other) / spread(previous, other), before.x, before.y);
+                }
+                this.viewport.panBy(after.x - before.x, after.y - before.y);
+                this.applyViewport();
+            } else if (isPanning) {
+                const previous = pointers.get(pointerId);
+                this.viewport.panBy(point.x - previous.x, point.y - previous.y);
+                this.applyViewport();
+            }
+            pointers.set(pointerId, point);
+        });
+        
+        viewport.on('pointerup pointercancel', (e) => {
+            const event = e.originalEvent;
+            if (press && press.pointerId === event.pointerId) {
+                const isClick = e.type === 'pointerup' && pointers.size === 1 &&
+                    Math.hypot(e.clientX - press.x, e.clientY - press.y) < 5;
+                press = null;
+                if (isClick) {
+                    this.togglePlayerFollow(this.getPlayerAt(e.clientX, e.clientY));
+                }
+            }
+            
+            pointers.delete(event.pointerId);
+            if (pointers.size === 0) {
+                isPanning = false;
+                viewport.removeClass('panning');
+            }
+        });
+        
+        // Minimap: press or drag to centre the view on that spot
+        const centerOnMinimap = (e) => {
+            const rect = minimap[0].getBoundingClientRect();
+            const cellSize = this.getCellSize();
+            const x = (e.clientX - rect.left) / rect.width * this.width * cellSize;
+            const y = (e.clientY - rect.top) / rect.height * this.height * cellSize;
+            this.viewport.centerOn(x, y);
+            this.applyViewport();
+        };
+        
+        minimap.on('pointerdown', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            minimap[0].setPointerCapture(e.originalEvent.pointerId);
+            centerOnMinimap(e);
+        });
+        
+        minimap.on('pointermove', (e) => {
+            if (minimap[0].hasPointerCapture(e.originalEvent.pointerId)) {
+                centerOnMinimap(e);
+            }
+        });
+        
+        $('#follow-stop-button').on('click', () => {
+            this.stopFollowing();
+            this.render();
+        });
+    }
+    
+    // Topmost (most recently spawned) visitor on the cell under a screen point
+    getPlayerAt(clientX, clientY) {
+        const cell = this.getCellFromPoint(clientX, clientY);
+        if (!cell) return null;
+        
+        return [...this.players].reverse().find(player =>
+            !player.isRemoved && player.position.x === cell.x && player.position.y === cell.y) || null;
+    }
+    
+    // Clicking a visitor follows them; clicking the followed visitor again lets go
+    togglePlayerFollow(player) {
+        if (!player) return;
+        
+        if (player === this.followedPlayer) {
+            this.stopFollowing();
+        } else {
+            this.followPlayer(player);
+        }
+        this.render();
+    }
+    
+    followPlayer(player) {
+        // Remember the view to come back to (only from the normal view, not when switching visitors)
+        if (!this.followedPlayer) {
+            const { zoom, x, y } = this.viewport;
+            this.viewBeforeFollow = { zoom, x, y };
+        }
+        this.followedPlayer = player;
+        
+        // Zoom in far enough that there is something to follow
+        if (this.viewport.zoom < 2) {
+            this.viewport.zoomAt(2 / this.viewport.zoom, this.viewport.viewWidth / 2, this.viewport.viewHeight / 2);
+        }
+        
+        $('#follow-banner-text').text(`Following ${player.emoji}`);
+        $('#follow-banner').show();
+        $('#board-viewport').addClass('following');
+    }
+    
+    // Back to the view from before following started. Callers render afterwards.
+    stopFollowing() {
+        if (!this.followedPlayer) return;
+        
+        this.followedPlayer = null;
+        Object.assign(this.viewport, this.viewBeforeFollow);
+        this.viewport.clamp();
+        this.viewBeforeFollow = null;
+        
+        $('#follow-banner').hide();
+        $('#board-viewport').removeClass('following');
+    }
+    
+    // Drop an in-progress paint stroke or flag drag (e.g. when a touch turns into a pinch)
+    cancelBoardDrag() {
+        if (this.paintStroke) {
+            this.paintStroke.queue = [];
+            this.paintStroke.isReleased = true;
+        }
+        if (this.flagDrag) {
+            this.flagDrag = null;
+            this.render();
+        }
+    }
+    
+    updateViewport() {
+        const cellSize = this.getCellSize();
+        const area = this.getBoardArea();
+        const contentWidth = this.width * cellSize;
+        const contentHeight = this.height * cellSize;
+        const viewWidth = Math.min(contentWidth, area.width);
+        const viewHeight = Math.min(contentHeight, area.height);
+        
+        $('#board-viewport').css({ width: `${viewWidth}px`, height: `${viewHeight}px` });
+        this.viewport.setSize(contentWidth, contentHeight, viewWidth, viewHeight);
+        
+        // A different field starts with the whole thing in view
+        const layout = `${this.width}x${this.height}`;
+        if (layout !== this.viewportLayout) {
+            this.viewportLayout = layout;
+            this.followedTractor = null;
+            this.viewport.reset();
+        }
+        
+        // Keep a followed visitor in the middle of the view
+        if (this.followedPlayer) {
+            const pos = this.followedPlayer.position;
+            this.viewport.centerOn((pos.x + 0.5) * cellSize, (pos.y + 0.5) * cellSize);
+        }
+        
+        // Follow the tractor when it moves (but let the farmer pan away while it's parked)
+        const tractor = `${this.tractorPosition.x},${this.tractorPosition.y}`;
+        if (this.gameMode === 'farmer' && tractor !== this.followedTractor) {
+            this.followedTractor = tractor;
+            this.viewport.keepInView({
+                left: this.tractorPosition.x * cellSize,
+                top: this.tractorPosition.y * cellSize,
+                width: cellSize,
+                height: cellSize
+            }, cellSize * 2);
+        }
+        
+        this.applyViewport();
+    }
+    
+    applyViewport() {
+        const { x, y, zoom } = this.viewport;
+        $('#game-board').css({
+            transform: `translate(${x}px, ${y}px) scale(${zoom})`,
+            '--board-zoom': zoom // Lets tooltips cancel out the zoom
+        });
+        
+        if (this.canvasRenderer) {
+            this.canvasRenderer.render(); // Redraw at the new resolution
+        }
+        this.drawMinimap();
+    }
+    
+    drawMinimap() {
+        // Only needed while part of the field is off screen
+        const minimap = $('#minimap');
+        if (!this.viewport.isCropped()) {
+            minimap.hide();
+            return;
+        }
+        
+        // The layout comes from the library thumbnail, redrawn only when the layout changes
+        if (!this.minimapLayer || this.minimapLayer.revision !== this.gridRevision) {
+            this.minimapLayer = {
+                revision: this.gridRevision,
+                canvas: this.createMazeThumbnail(this.getState(), 150)
+            };
+        }
+        
+        const layer = this.minimapLayer.canvas;
+        const canvas = minimap[0];
+        canvas.width = layer.width;
+        canvas.height = layer.height;
+        const context = canvas.getContext('2d');
+        context.drawImage(layer, 0, 0);
+        
+        // One block per cell: haunts, plus the tractor in farmer mode or visitors in player mode
+        const scale = layer.width / this.width;
+        const dot = Math.max(2, scale);
+        const drawDot = (pos, color) => {
+            context.fillStyle = color;
+            context.fillRect((pos.x + 0.5) * scale - dot / 2, (pos.y + 0.5) * scale - dot / 2, dot, dot);
+        };
+        if (this.gameMode === 'farmer') {
+            this.haunts.forEach(haunt => drawDot(haunt, '#ce93d8'));
+            drawDot(this.tractorPosition, '#ffeb3b');
+        } else {
+            this.activeHaunts.forEach(haunt => drawDot(haunt.position, '#ce93d8'));
+            this.players.forEach(player => {
+                if (!player.isRemoved) drawDot(player.position, '#fff');
+            });
+        }
+        
+        // Visible part of the field
+        const visible = this.viewport.getVisibleRect();
+        const toMinimap = layer.width / this.viewport.contentWidth;
+        context.strokeStyle = '#fff';
+        context.lineWidth = 2;
+        context.strokeRect(visible.left * toMinimap + 1, visible.top * toMinimap + 1,
+            visible.width * toMinimap - 2, visible.height * toMinimap - 2);
+        
+        minimap.show();
+    }
+    
+    extendPaintStroke(cell) {
+        const stroke = this.paintStroke;
+        if (!cell || !stroke || stroke.isReleased) return;
+        
+        const end = stroke.end;
+        if (cell.x === end.x && cell.y === end.y) return;
+        
+        const distance = Math.abs(cell.x - end.x) + Math.abs(cell.y - end.y);
+        let route = null;
+        
+        if (distance === 1) {
+            route = [cell];
+        } else if (this.grid[cell.y][cell.x] === 1 && this.grid[end.y][end.x] === 1) {
+            // Jump along existing dirt (e.g. pressing somewhere else on the maze)
+            const path = this.getMaze().findPath(end, cell);
+            route = path ? path.slice(1) : null;
+        }
+        
+        if (!route && stroke.hasStarted) {
+            // The pointer skipped cells - fill the gap one axis at a time
+            route = [];
+            const current = { ...end };
+            while (current.x !== cell.x || current.y !== cell.y) {
+                if (Math.abs(cell.x - current.x) >= Math.abs(cell.y - current.y)) {
+                    current.x += Math.sign(cell.x - current.x);
+                } else {
+                    current.y += Math.sign(cell.y - current.y);
+                }
+                route.push({ ...current });
+            }
+        }
+        
+        // Not connected to the tractor yet - wait until the stroke reaches it
+        if (!route) return;
+        
+        stroke.hasStarted = true;
+        stroke.queue.push(...route);
+        stroke.end = { ...cell };
+        
+        if (!this.isMoving) {
+            this.advancePaintStroke();
+        }
+    }
+    
+    advancePaintStroke() {
+        const stroke = this.paintStroke;
+        if (!stroke || this.gameMode !== 'farmer') return;
+        
+        if (stroke.queue.length === 0) {
+            if (stroke.isReleased) {
+                this.paintStroke = null;
+            }
+            return;
+        }
+        
+        const next = stroke.queue.shift();
+        const dx = next.x - this.tractorPosition.x;
+        const dy = next.y - this.tractorPosition.y;
+        const direction = dx > 0 ? 'right' : dx < 0 ? 'left' : dy > 0 ? 'down' : 'up';
+        
+        // Every cell is checked against the plowing rules; the first refusal ends the stroke here
+        const isStep = Math.abs(dx) + Math.abs(dy) === 1;
+        if (!isStep || !this.canDriveTo(next.x, next.y)) {
+            stroke.queue = [];
+            stroke.end = { ...this.tractorPosition };
+            stroke.hasStarted = false;
+            return;
+        }
+        
+        // The whole stroke is a single undo step
+        this.driveTractor(next.x, next.y, direction, !stroke.savedUndo);
+        stroke.savedUndo = true;
+        
+        this.isMoving = true;
+        setTimeout(() => {
+            this.isMoving = false;
+            this.advancePaintStroke();
+        }, 100); // Faster than keyboard driving so long strokes don't drag
+        
+        this.render();
+    }
+    
+    // Whether the entrance/exit flag at `from` can be dropped on `to`.
+    // Dropping on a flag of the other kind swaps them; dropping on edge corn relocates the opening.
+    canMoveOpening(from, to) {
+        const maze = this.getMaze();
+        if (!maze.isOnPerimeter(to.x, to.y) || (from.x === to.x && from.y === to.y)) {
+            return false;
+        }
+        
+        if (maze.isEntrance(to) || maze.isExit(to)) {
+            return maze.isEntrance(to) !== maze.isEntrance(from);
+        }
+        if (maze.isPlowed(to.x, to.y)) {
+            return false;
+        }
+        
+        // Replanting the old opening and plowing the new one are paid for like the tractor's work
+        const { plow, replant } = Economy.getCosts();
+        if (!this.economy.canAfford(plow + replant)) {
+            return false;
+        }
+        
+        // Try it on a copy: replant the old opening, then plow the new one
+        const componentsBefore = maze.countComponents();
+        maze.grid = this.grid.map(row => [...row]);
+        maze.grid[from.y][from.x] = 0;
+        if (maze.wouldCompleteBlock(to.x, to.y)) {
+            return false;
+        }
+        maze.grid[to.y][to.x] = 1;
+        
+        // The new opening has to join a path without cutting any part of the maze off
+        const joinsPath = [[0, 1], [1, 0], [0, -1], [-1, 0]].some(([dx, dy]) => maze.isPlowed(to.x + dx, to.y + dy));
+        return joinsPath && maze.countComponents() <= componentsBefore;
+    }
+    
+    moveOpening(from, to) {
+        // Save state first so the whole move (replant + plow) is a single undo step
+        this.saveState();
+        
+        const isAt = (pos, target) => pos.x === target.x && pos.y === target.y;
+        const relocate = (pos) => isAt(pos, from) ? { ...to } : isAt(pos, to) ? { ...from } : pos;
+        const isSwap = this.getMaze().isEntrance(to) || this.getMaze().isExit(to);
+        
+        this.entrances = this.entrances.map(relocate);
+        this.exits = this.exits.map(relocate);
+        // Flags take the cell over from any haunt placed there
+        this.haunts = this.haunts.filter(haunt => !isAt(haunt, to));
+        
+        if (!isSwap) {
+            const { plow, replant } = Economy.getCosts();
+            this.economy.spend('replanting', replant);
+            this.economy.spend('plowing', plow);
+            this.grid[from.y][from.x] = 0;
+            this.grid[to.y][to.x] = 1;
+            if (isAt(this.tractorPosition, from)) {
+                this.tractorPosition = { ...to };
+            }
+        }
+        
+        this.markGridChanged();
+        
+        this.updateToggleState();
+        this.saveToLocalStorage();
+        this.render();
+    }
+    
     isOnPerimeter(x, y) {
-        return x === 0 || x === this.width - 1 || y === 0 || y === this.height - 1;
+        return this.getMaze().isOnPerimeter(x, y);
     }
     
     countPlowedPerimeterSquares() {
+        return this.getMaze().countPlowedPerimeterSquares();
+    }
+    
+    canPlow(x, y) {
+        // Plowing rules (perimeter openings, no 2x2 dirt blocks) live on Maze
+        return this.getMaze().canPlow(x, y);
+    }
+    
+    handleMovement() {
+        // Disable movement in player mode or if already moving
+        if (this.gameMode === 'player' || this.isMoving) {
+            return;
+        }
+        
+        let newX = this.tractorPosition.x;
+        let newY = this.tractorPosition.y;
+        let direction = null;
+        
+        // Arrow keys or WASD
+        if (this.keys['arrowup'] || this.keys['w']) {
+            newY = Math.max(0, this.tractorPosition.y - 1);
+            direction = 'up';
+        } else if (this.keys['arrowdown'] || this.keys['s']) {
+            newY = Math.min(this.height - 1, this.tractorPosition.y + 1);
+            direction = 'down';
+        } else if (this.keys['arrowleft'] || this.keys['a']) {
+            newX = Math.max(0, this.tractorPosition.x - 1);
+            direction = 'left';
+        } else if (this.keys['arrowright'] || this.keys['d']) {
+            newX = Math.min(this.width - 1, this.tractorPosition.x + 1);
+            direction = 'right';
+        }
+        
+        // Only move if position changed and the move is valid
+        if ((newX !== this.tractorPosition.x || newY !== this.tractorPosition.y) &&
+            this.driveTractor(newX, newY, direction)) {
+            // Set moving flag and clear it after animation completes
+            this.isMoving = true;
+            setTimeout(() => {
+                this.isMoving = false;
+                // Check if key is still pressed for continuous movement
+                if (Object.values(this.keys).some(k => k)) {
+                    this.handleMovement();
+                }
+            }, 200); // Match CSS transition duration
+            
+            this.render();
+        }
+    }
+    
+    canDriveTo(x, y) {
+        if (this.isReplanting) {
+            // Replanting drives along existing dirt and turns the cell behind back into corn
+            return this.grid[y][x] === 1 && this.canReplant(this.tractorPosition.x, this.tractorPosition.y, { x, y });
+        }
+        return this.canPlow(x, y);
+    }
+    
+    canReplant(x, y, tractorPosition) {
+        // Replanting must not cut the tractor off from any part of the plowed network it's connected to
+        const maze = this.getMaze();
+        const connectedBefore = maze.countConnectedCells(this.tractorPosition);
+        
+        maze.grid = this.grid.map(row => [...row]);
+        maze.grid[y][x] = 0;
+        const connectedAfter = maze.countConnectedCells(tractorPosition);
+        
+        return connectedAfter === connectedBefore - 1;
+    }
+    
+    // Move the tractor one cell, plowing (or replanting behind it in replant mode).
+    // Returns false if the move isn't allowed.
+    driveTractor(x, y, direction, saveUndo = true) {
+        if (!this.canDriveTo(x, y)) {
+            return false;
+        }
+        
+        // Plowing corn and replanting dirt have to be paid for up front
+        const { plow, replant } = Economy.getCosts();
+        const cost = this.isReplanting ? replant : this.grid[y][x] === 0 ? plow : 0;
+        if (!this.economy.canAfford(cost)) {
+            this.showEconomyMessage(`Not enough money to ${this.isReplanting ? 'replant' : 'plow'} (${this.formatMoney(cost)} a cell).`);
+            return false;
+        }
+        if (cost > 0) {
+            this.economy.spend(this.isReplanting ? 'replanting' : 'plowing', cost);
+        }
+        
+        // Save state before making the move
+        if (saveUndo) {
+            this.saveState();
+        }
+        
+        // Update direction for all movements
+        if (direction) {
+            this.tractorDirection = direction;
+        }
+        
+        const previous = { ...this.tractorPosition };
+        this.tractorPosition.x = x;
+        this.tractorPosition.y = y;
+        
+        if (this.isReplanting) {
+            // Replant the cell we just left (convert dirt back to corn)
+            this.grid[previous.y][previous.x] = 0;
+            
+            // Replanting a flag cell closes that opening, and haunts can't stand in the corn
+            const maze = this.getMaze();
+            maze.removeOpening(previous);
+            this.entrances = maze.entrances;
+            this.exits = maze.exits;
+            this.haunts = this.haunts.filter(haunt => haunt.x !== previous.x || haunt.y !== previous.y);
+            this.markGridChanged();
+        } else {
+            const wasCorn = this.grid[y][x] === 0;
+            
+            // Plow the path (convert corn to dirt)
+            this.grid[y][x] = 1;
+            
+            // A newly plowed perimeter square becomes an entrance or exit
+            if (wasCorn && this.isOnPerimeter(x, y)) {
+                const maze = this.getMaze();
+                maze.addOpening({ x, y });
+                this.entrances = maze.entrances;
+                this.exits = maze.exits;
+            }
+            
+            // Driving over existing dirt leaves the layout (and its stats) unchanged
+            if (wasCorn) {
+                this.markGridChanged();
+            }
+        }
+        
+        // Update toggle state after changing the openings
+        this.updateToggleState();
+        
+        // Save to localStorage after each move
+        this.saveToLocalStorage();
+        return true;
+    }
+    
+    toggleReplantMode() {
+        if (this.gameMode !== 'farmer') {
+            return;
+        }
+        
+        this.isReplanting = !this.isReplanting;
+        $('#replant-button').toggleClass('active', this.isReplanting);
+        $('#game-board').toggleClass('replant-mode', this.isReplanting);
+    }
+    
+    countTotalPlowed() {
         let count = 0;
         for (let y = 0; y < this.height; y++) {
             for (let x = 0; x < this.width; x++) {
-                if (this.isOnPerimeter(x, y) && this.grid[y][x] === 1) {
+                if (this.grid[y][x] === 1) {
                     count++;
                 }
             }
@@ -1246,318 +3343,596 @@ class CornMazeGame {
         return count;
     }
     
-    canPlow(x, y) {
-        // If already plowed, we can move there (it's already a path)
-        if (this.grid[y][x] === 1) {
-            return true;
+    markGridChanged() {
+        // The layout changed, so cached path stats no longer apply
+        this.gridRevision++;
+        this.shortestPath = null;
+        this.longestPath = null;
+        this.highlightedPath = null;
+    }
+    
+    getLayoutKey() {
+        return JSON.stringify([this.grid, this.entrances, this.exits]);
+    }
+    
+    updateStats() {
+        // Stats only depend on the layout, so renders that just animate players skip the work
+        if (this.statsRevision === this.gridRevision) {
+            return;
+        }
+        this.statsRevision = this.gridRevision;
+        
+        const totalPlowed = this.countTotalPlowed();
+        $('#total-plowed').text(totalPlowed);
+        
+        // Shortest path is a cheap BFS; the longest path search runs in the background
+        const maze = this.getMaze();
+        this.shortestPath = PathStats.findShortestPath(maze);
+        this.longestPath = null;
+        this.longestPathStatus = null;
+        
+        if (this.shortestPath) {
+            const key = this.getLayoutKey();
+            if (this.pathStatsCache.has(key)) {
+                this.longestPath = this.pathStatsCache.get(key);
+                this.longestPathStatus = 'complete';
+            } else {
+                this.longestPathStatus = 'computing';
+                this.startLongestPathSearch(maze, key);
+            }
+        } else {
+            // No route at all, so there's nothing to search
+            this.stopLongestPathSearch();
+        }
+        
+        this.analysis = new MazeAnalysis(maze).analyze(this.shortestPath);
+        
+        this.showPathStats();
+        this.showAnalysis();
+    }
+    
+    showAnalysis() {
+        const { deadEnds, junctions3, junctions4, loops, averageCorridor, tortuosity, difficulty } = this.analysis;
+        
+        $('#analysis-dead-ends').text(deadEnds.value);
+        $('#analysis-junctions-3').text(junctions3.value);
+        $('#analysis-junctions-4').text(junctions4.value);
+        $('#analysis-loops').text(loops.value);
+        $('#analysis-average-corridor').text(averageCorridor.cells.length > 0 ? averageCorridor.value.toFixed(1) : '—');
+        $('#analysis-tortuosity').text(tortuosity.value === null ? '—' : tortuosity.value.toFixed(2));
+        $('#analysis-difficulty').text(this.shortestPath ? `${difficulty.value} (${difficulty.label})` : '—');
+        
+        // Only offer highlighting for metrics that have cells to show
+        $('.analysis-stat').each((index, element) => {
+            const metric = this.analysis[$(element).data('analysis')];
+            $(element).find('.hover-icon').css('display', metric.cells.length > 0 ? 'inline-block' : 'none');
+        });
+    }
+    
+    showPathStats() {
+        if (this.shortestPath) {
+            $('#shortest-path').text(this.shortestPath.length);
+            $('#shortest-path-stat .hover-icon').css('display', 'inline-block');
+        } else {
+            $('#shortest-path').text('—');
+            $('#shortest-path-stat .hover-icon').css('display', 'none');
+        }
+        
+        const longest = $('#longest-path');
+        const length = this.longestPath ? this.longestPath.length : null;
+        longest.removeAttr('title');
+        if (this.longestPathStatus === 'computing') {
+            longest.text(length ? `≥ ${length} (still computing)` : 'Computing…');
+        } else if (this.longestPathStatus === 'partial') {
+            longest.text(`≥ ${length}`).attr('title', 'The search ran out of time; the true longest path may be longer.');
+        } else {
+            longest.text(length || '—');
+        }
+        $('#longest-path-stat .hover-icon').css('display', this.longestPath ? 'inline-block' : 'none');
+    }
+    
+    startLongestPathSearch(maze, key) {
+        const revision = this.gridRevision;
+        
+        // Results for an older layout are ignored
+        const handleResult = ({ revision: resultRevision, type, longest, isComplete }) => {
+            if (resultRevision !== revision || revision !== this.gridRevision) return;
+            
+            this.longestPath = longest;
+            if (type === 'done') {
+                this.longestPathStatus = isComplete ? 'complete' : 'partial';
+                if (isComplete) {
+                    this.cachePathStats(key, longest);
+                }
+            }
+            
+            this.showPathStats();
+            if (this.hoveringStat === 'longest') {
+                this.updateHighlight();
+                this.render();
+            }
+        };
+        
+        this.stopLongestPathSearch();
+        this.pathStatsHandler = handleResult;
+        
+        const worker = this.getPathStatsWorker();
+        if (worker) {
+            worker.postMessage({
+                revision,
+                width: maze.width,
+                height: maze.height,
+                grid: maze.grid,
+                entrances: maze.entrances,
+                exits: maze.exits
+            });
+            return;
+        }
+        
+        // No worker: search in short slices between frames instead
+        this.cancelPathSearch = new PathStats(maze).run({
+            sliceDuration: 12,
+            onProgress: (longest) => handleResult({ revision, type: 'progress', longest }),
+            onDone: (longest, isComplete) => {
+                this.cancelPathSearch = null;
+                handleResult({ revision, type: 'done', longest, isComplete });
+            }
+        });
+    }
+    
+    stopLongestPathSearch() {
+        // The worker abandons its search when the next one is posted, so only the fallback needs cancelling
+        this.pathStatsHandler = null;
+        if (this.cancelPathSearch) {
+            this.cancelPathSearch();
+            this.cancelPathSearch = null;
+        }
+    }
+    
+    getPathStatsWorker() {
+        if (!this.pathStatsWorker && this.canUsePathStatsWorker) {
+            try {
+                this.pathStatsWorker = new Worker(new URL('./PathStats.worker.js', import.meta.url));
+                this.pathStatsWorker.onmessage = (event) => {
+                    if (this.pathStatsHandler) {
+                        this.pathStatsHandler(event.data);
+                    }
+                };
+                this.pathStatsWorker.onerror = (e) => {
+                    // Fall back to the main thread and redo the current layout
+                    console.warn('Path stats worker failed, searching on the main thread instead:', e.message);
+                    this.pathStatsWorker.terminate();
+                    this.pathStatsWorker = null;
+                    this.canUsePathStatsWorker = false;
+                    this.statsRevision = null;
+                    this.updateStats();
+                };
+            } catch (e) {
+                console.warn('Failed to start path stats worker:', e);
+                this.pathStatsWorker = null;
+                this.canUsePathStatsWorker = false;
+            }
+        }
+        return this.pathStatsWorker;
+    }
+    
+    setupHeatmap() {
+        const groups = $('#heatmap-group');
+        groups.append($('<option></option>').val('all').text('All visitors'));
+        VisitorArchetypes.getIds().forEach(id => {
+            groups.append($('<option></option>').val(id).text(VisitorArchetypes.getInfo(id).label));
+        });
+        groups.append($('<option></option>').val('custom').text('Spawned by hand'));
+        
+        const windows = $('#heatmap-window');
+        Object.entries(TrafficMap.getWindows()).forEach(([id, window]) => {
+            windows.append($('<option></option>').val(id).text(window.label));
+        });
+        
+        $('#heatmap-gradient').css('background-image', TrafficMap.getLegendGradient());
+        
+        $('#heatmap-button').on('click', () => {
+            this.heatmap.isShown = !this.heatmap.isShown;
+            this.render();
+        });
+        
+        groups.on('change', () => {
+            this.heatmap.group = groups.val();
+            this.render();
+        });
+        
+        windows.on('change', () => {
+            this.heatmap.window = windows.val();
+            this.render();
+        });
+    }
+    
+    // Summed traffic for the heatmap settings, as { traffic, key, counts, max }; null while it's hidden.
+    // The same object comes back until something changes, so views can tell when to redraw.
+    getHeatmap() {
+        const { isShown, group, window } = this.heatmap;
+        if (!isShown || this.gameMode !== 'player' || !this.simulation) {
+            return null;
         }
         
-        // Check perimeter constraint: at most 2 plowed squares on perimeter
-        if (this.isOnPerimeter(x, y)) {
-            const currentPerimeterCount = this.countPlowedPerimeterSquares();
-            if (currentPerimeterCount >= 2) {
-                return false; // Already have 2 perimeter squares plowed
-            }
+        // Sum again only when there are new steps, the settings change or the time window moves on
+        const now = this.simulation.time;
+        const key = `${this.traffic.revision}|${group}|${window}|${TrafficMap.getWindowStart(window, now)}`;
+        if (!this.heatmapCounts || this.heatmapCounts.traffic !== this.traffic || this.heatmapCounts.key !== key) {
+            this.heatmapCounts = { traffic: this.traffic, key, ...this.traffic.getCounts(group, window, now) };
         }
+        return this.heatmapCounts;
+    }
+    
+    // Heat colour of a cell in `heatmap`, or null for corn and cells nobody stepped on
+    getHeatColor(heatmap, x, y) {
+        const count = heatmap.counts.get(`${x},${y}`);
+        if (!count || !this.grid[y] || this.grid[y][x] !== 1) {
+            return null;
+        }
+        return TrafficMap.getHeatColor(heatmap.max > 1 ? (count - 1) / (heatmap.max - 1) : 1);
+    }
+    
+    updateHeatmapLegend() {
+        const heatmap = this.getHeatmap();
+        const shown = this.heatmapLegendShown;
+        if (shown && shown.heatmap === heatmap && shown.isShown === this.heatmap.isShown) {
+            return;
+        }
+        this.heatmapLegendShown = { heatmap, isShown: this.heatmap.isShown };
         
-        // Check all possible 2x2 blocks that would include this square
-        // For a square at (x, y), we need to check 2x2 blocks:
-        // - Top-left: (x-1, y-1), (x, y-1), (x-1, y), (x, y)
-        // - Top-right: (x, y-1), (x+1, y-1), (x, y), (x+1, y)
-        // - Bottom-left: (x-1, y), (x, y), (x-1, y+1), (x, y+1)
-        // - Bottom-right: (x, y), (x+1, y), (x, y+1), (x+1, y+1)
-        
-        const check2x2Block = (x1, y1, x2, y2) => {
-            // Check if all coordinates are within bounds
-            if (x1 < 0 || y1 < 0 || x2 >= this.width || y2 >= this.height) {
-                return true; // Out of bounds, so this block doesn't constrain us
-            }
-            
-            // Count how many squares in this 2x2 block would be plowed
-            let plowedCount = 0;
-            for (let checkY = y1; checkY <= y2; checkY++) {
-                for (let checkX = x1; checkX <= x2; checkX++) {
-                    if (this.grid[checkY][checkX] === 1 || (checkX === x && checkY === y)) {
-                        plowedCount++;
-                    }
-                }
-            }
-            
-            // If all 4 squares would be plowed, this move is invalid
-            return plowedCount < 4;
-        };
+        $('#heatmap-button').text(this.heatmap.isShown ? '🔥 Hide Heatmap' : '🔥 Show Heatmap')
+            .toggleClass('active', this.heatmap.isShown);
+        $('#heatmap-container').toggleClass('has-traffic', !!heatmap && heatmap.max > 0);
+        $('#heatmap-max').text(heatmap ? heatmap.max : '');
         
-        // Check all four possible 2x2 blocks that include (x, y)
-        return check2x2Block(x - 1, y - 1, x, y) &&  // Top-left block
-               check2x2Block(x, y - 1, x + 1, y) &&  // Top-right block
-               check2x2Block(x - 1, y, x, y + 1) &&  // Bottom-left block
-               check2x2Block(x, y, x + 1, y + 1);    // Bottom-right block
+        let status = 'Shows where this run\'s visitors have walked, busiest cells in red.';
+        if (heatmap && heatmap.max === 0) {
+            status = 'No steps to show yet for these visitors and time.';
+        } else if (heatmap) {
+            status = `Steps onto each cell; the busiest saw ${heatmap.max}.`;
+        }
+        $('#heatmap-status').text(status);
     }
     
-    handleMovement() {
-        // Disable movement in player mode or if already moving
-        if (this.gameMode === 'player' || this.isMoving) {
+    // Colour the plowed cells of the DOM board with the heatmap
+    updateHeatOverlays() {
+        const heatmap = this.getHeatmap();
+        if (this.heatOverlaysShown === heatmap) {
             return;
         }
+        this.heatOverlaysShown = heatmap;
         
-        let newX = this.tractorPosition.x;
-        let newY = this.tractorPosition.y;
-        let direction = null;
-        
-        // Arrow keys or WASD
-        if (this.keys['arrowup'] || this.keys['w']) {
-            newY = Math.max(0, this.tractorPosition.y - 1);
-            direction = 'up';
-        } else if (this.keys['arrowdown'] || this.keys['s']) {
-            newY = Math.min(this.height - 1, this.tractorPosition.y + 1);
-            direction = 'down';
-        } else if (this.keys['arrowleft'] || this.keys['a']) {
-            newX = Math.max(0, this.tractorPosition.x - 1);
-            direction = 'left';
-        } else if (this.keys['arrowright'] || this.keys['d']) {
-            newX = Math.min(this.width - 1, this.tractorPosition.x + 1);
-            direction = 'right';
+        $('#game-board .heat-overlay').remove();
+        if (!heatmap) {
+            return;
         }
         
-        // Only move if position changed and the move is valid
-        if ((newX !== this.tractorPosition.x || newY !== this.tractorPosition.y) && 
-            this.canPlow(newX, newY)) {
-            // Save state before making the move
-            this.saveState();
-            
-            // Update direction for all movements
-            if (direction) {
-                this.tractorDirection = direction;
-            }
-            
-            this.tractorPosition.x = newX;
-            this.tractorPosition.y = newY;
-            
-            // Plow the path (convert corn to dirt)
-            this.grid[newY][newX] = 1;
-            
-            // If this is a perimeter square and we don't have start/finish yet, set them
-            if (this.isOnPerimeter(newX, newY)) {
-                if (this.startPosition === null) {
-                    this.startPosition = { x: newX, y: newY };
-                } else if (this.finishPosition === null) {
-                    this.finishPosition = { x: newX, y: newY };
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                const color = this.getHeatColor(heatmap, x, y);
+                if (color) {
+                    const overlay = $('<div class="heat-overlay"></div>').css('background-color', color);
+                    $(this.cellElements[y * this.width + x]).append(overlay);
                 }
             }
-            
-            // Update toggle state after setting start/finish
-            this.updateToggleState();
-            
-            // Save to localStorage after each move
-            this.saveToLocalStorage();
-            
-            // Set moving flag and clear it after animation completes
-            this.isMoving = true;
-            setTimeout(() => {
-                this.isMoving = false;
-                // Check if key is still pressed for continuous movement
-                if (Object.values(this.keys).some(k => k)) {
-                    this.handleMovement();
-                }
-            }, 200); // Match CSS transition duration
-            
-            this.render();
         }
     }
     
-    countTotalPlowed() {
-        let count = 0;
-        for (let y = 0; y < this.height; y++) {
-            for (let x = 0; x < this.width; x++) {
-                if (this.grid[y][x] === 1) {
-                    count++;
-                }
+    setupBenchmark() {
+        $('#benchmark-button').on('click', () => {
+            if (this.benchmarkHandler) {
+                this.stopBenchmark();
+                $('#benchmark-status').text('Benchmark cancelled.');
+            } else {
+                this.startBenchmark();
             }
-        }
-        return count;
+        });
+        
+        $('#benchmark-count').on('keydown', (e) => {
+            if (e.key === 'Enter') {
+                $('#benchmark-button').trigger('click');
+            }
+        });
     }
     
-    findShortestPath() {
-        if (!this.startPosition || !this.finishPosition) {
-            return null;
+    startBenchmark() {
+        if (this.entrances.length === 0 || this.exits.length === 0) {
+            $('#benchmark-status').text('The maze needs an entrance and an exit to benchmark.');
+            return;
         }
         
-        // BFS to find shortest path
-        const queue = [[this.startPosition.x, this.startPosition.y]];
-        const visited = new Set();
-        const parent = new Map();
-        visited.add(`${this.startPosition.x},${this.startPosition.y}`);
-        
-        const directions = [[0, 1], [1, 0], [0, -1], [-1, 0]];
+        // Same brain a visitor spawned now would get, without using up the configuration
+        const input = $('#benchmark-count');
+        const count = Math.max(10, Math.min(5000, Math.round(Number(input.val())) || 200));
+        input.val(count);
+        const options = {
+            tiers: JSON.parse(JSON.stringify(this.currentTierConfig)),
+            speed: 1000 / parseFloat($('#speed-slider').val()),
+            count,
+            seed: this.simulation ? this.simulation.seed : Random.createSeed()
+        };
+        const maze = this.getMaze();
+        const revision = this.gridRevision;
+        const id = ++this.benchmarkId;
         
-        while (queue.length > 0) {
-            const [x, y] = queue.shift();
+        const handleMessage = ({ id: messageId, type, done, total, report }) => {
+            if (messageId !== id) return;
             
-            if (x === this.finishPosition.x && y === this.finishPosition.y) {
-                // Reconstruct path
-                const path = [];
-                let current = `${x},${y}`;
-                while (current) {
-                    const [cx, cy] = current.split(',').map(Number);
-                    path.unshift({ x: cx, y: cy });
-                    current = parent.get(current);
-                }
-                return path;
+            if (type === 'progress') {
+                $('#benchmark-status').text(`Running… ${done} / ${total} visitors`);
+                return;
             }
             
-            for (const [dx, dy] of directions) {
-                const nx = x + dx;
-                const ny = y + dy;
-                const key = `${nx},${ny}`;
-                
-                if (nx >= 0 && nx < this.width && 
-                    ny >= 0 && ny < this.height &&
-                    this.grid[ny][nx] === 1 &&
-                    !visited.has(key)) {
-                    visited.add(key);
-                    parent.set(key, `${x},${y}`);
-                    queue.push([nx, ny]);
-                }
-            }
+            this.benchmarkHandler = null;
+            this.updateBenchmarkButton();
+            this.showBenchmarkReport(report, revision !== this.gridRevision);
+        };
+        
+        this.stopBenchmark();
+        this.benchmarkHandler = handleMessage;
+        this.updateBenchmarkButton();
+        $('#benchmark-status').text(`Running… 0 / ${count} visitors`);
+        
+        const worker = this.getBenchmarkWorker();
+        if (worker) {
+            worker.postMessage({
+                id,
+                width: maze.width,
+                height: maze.height,
+                grid: maze.grid,
+                entrances: maze.entrances,
+                exits: maze.exits,
+                haunts: maze.haunts,
+                ...options
+            });
+            return;
         }
         
-        return null; // No path found
+        // No worker: walk visitors in short slices between frames instead
+        this.cancelBenchmarkRun = new Benchmark(maze, options).run({
+            sliceDuration: 12,
+            onProgress: (done, total) => handleMessage({ id, type: 'progress', done, total }),
+            onDone: (report) => {
+                this.cancelBenchmarkRun = null;
+                handleMessage({ id, type: 'done', report });
+            }
+        });
     }
     
-    findLongestPath() {
-        if (!this.startPosition || !this.finishPosition) {
-            return null;
+    stopBenchmark() {
+        this.benchmarkHandler = null;
+        if (this.benchmarkWorker) {
+            this.benchmarkWorker.postMessage({ id: this.benchmarkId, type: 'cancel' });
+        }
+        if (this.cancelBenchmarkRun) {
+            this.cancelBenchmarkRun();
+            this.cancelBenchmarkRun = null;
+        }
+        this.updateBenchmarkButton();
+    }
+    
+    getBenchmarkWorker() {
+        if (!this.benchmarkWorker && this.canUseBenchmarkWorker) {
+            try {
+                this.benchmarkWorker = new Worker(new URL('./Benchmark.worker.js', import.meta.url));
+                this.benchmarkWorker.onmessage = (event) => {
+                    if (this.benchmarkHandler) {
+                        this.benchmarkHandler(event.data);
+                    }
+                };
+                this.benchmarkWorker.onerror = (e) => {
+                    // Fall back to the main thread and start the benchmark over
+                    console.warn('Benchmark worker failed, running on the main thread instead:', e.message);
+                    this.benchmarkWorker.terminate();
+                    this.benchmarkWorker = null;
+                    this.canUseBenchmarkWorker = false;
+                    if (this.benchmarkHandler) {
+                        this.startBenchmark();
+                    }
+                };
+            } catch (e) {
+                console.warn('Failed to start benchmark worker:', e);
+                this.benchmarkWorker = null;
+                this.canUseBenchmarkWorker = false;
+            }
         }
+        return this.benchmarkWorker;
+    }
+    
+    updateBenchmarkButton() {
+        $('#benchmark-button').text(this.benchmarkHandler ? '■ Cancel' : '▶ Run');
+    }
+    
+    showBenchmarkReport(report, isStale) {
+        const percent = (rate) => `${Math.round(rate * 100)}%`;
+        const { outcomes, steps } = report;
         
-        // DFS to find all paths, then pick the longest
-        const allPaths = [];
-        const visited = new Set();
+        let status = `${report.count} visitors, seed ${report.seed}.`;
+        if (isStale) {
+            status += ' The maze changed while this ran; run it again for the current layout.';
+        }
+        $('#benchmark-status').text(status);
         
-        const dfs = (x, y, path) => {
-            if (x === this.finishPosition.x && y === this.finishPosition.y) {
-                allPaths.push([...path]);
-                return;
-            }
-            
-            const directions = [[0, 1], [1, 0], [0, -1], [-1, 0]];
-            
-            for (const [dx, dy] of directions) {
-                const nx = x + dx;
-                const ny = y + dy;
-                const key = `${nx},${ny}`;
-                
-                if (nx >= 0 && nx < this.width && 
-                    ny >= 0 && ny < this.height &&
-                    this.grid[ny][nx] === 1 &&
-                    !visited.has(key)) {
-                    visited.add(key);
-                    path.push({ x: nx, y: ny });
-                    dfs(nx, ny, path);
-                    path.pop();
-                    visited.delete(key);
-                }
-            }
-        };
+        const rows = [
+            ['Completed', `${percent(report.completionRate)} (${outcomes.finished})`],
+            ['Stuck', `${percent(report.stuckRate)} (${outcomes.stuck})`],
+            ['Gave up', `${percent(outcomes['gave-up'] / report.count)} (${outcomes['gave-up']})`]
+        ];
+        if (outcomes['timed-out'] > 0) {
+            rows.push(['Timed out', `${percent(outcomes['timed-out'] / report.count)} (${outcomes['timed-out']})`]);
+        }
+        if (steps) {
+            rows.push(
+                ['Min steps', steps.min],
+                ['10th percentile', steps.p10],
+                ['25th percentile', steps.p25],
+                ['Median steps', steps.median],
+                ['75th percentile', steps.p75],
+                ['90th percentile', steps.p90],
+                ['Max steps', steps.max],
+                ['Mean steps', steps.mean.toFixed(1)]
+            );
+        }
+        if (report.shortest !== null) {
+            rows.push(['Shortest path', report.shortest]);
+        }
         
-        const startKey = `${this.startPosition.x},${this.startPosition.y}`;
-        visited.add(startKey);
-        dfs(this.startPosition.x, this.startPosition.y, [{ x: this.startPosition.x, y: this.startPosition.y }]);
+        const table = $('#benchmark-stats').empty();
+        rows.forEach(([label, value]) => {
+            table.append($('<tr></tr>')
+                .append($('<th></th>').text(label))
+                .append($('<td></td>').text(value)));
+        });
         
-        if (allPaths.length === 0) {
-            return null;
+        // Steps taken by the visitors who finished, as bars scaled to the fullest bin
+        const histogram = $('#benchmark-histogram').empty();
+        if (report.histogram) {
+            const fullest = Math.max(...report.histogram.map(bin => bin.count));
+            report.histogram.forEach(bin => {
+                const label = bin.from === bin.to ? `${bin.from}` : `${bin.from}–${bin.to}`;
+                histogram.append($('<div class="histogram-row"></div>')
+                    .attr('title', `${bin.count} visitor${bin.count === 1 ? '' : 's'} took ${label} steps`)
+                    .append($('<span class="histogram-label"></span>').text(label))
+                    .append($('<span class="histogram-bar"></span>').css('width', `${Math.round(bin.count / fullest * 100)}px`))
+                    .append($('<span class="histogram-count"></span>').text(bin.count)));
+            });
+        } else {
+            histogram.append($('<div class="benchmark-status"></div>').text('Nobody reached an exit.'));
         }
         
-        // Return the longest path
-        return allPaths.reduce((longest, current) => 
-            current.length > longest.length ? current : longest
-        );
+        $('#benchmark-container').addClass('has-report');
     }
     
-    updateStats() {
-        const totalPlowed = this.countTotalPlowed();
-        $('#total-plowed').text(totalPlowed);
-        
-        if (this.startPosition && this.finishPosition) {
-            this.shortestPath = this.findShortestPath();
-            this.longestPath = this.findLongestPath();
-            
-            if (this.shortestPath) {
-                $('#shortest-path').text(this.shortestPath.length);
-                $('#shortest-path-stat .hover-icon').css('display', 'inline-block');
-            } else {
-                $('#shortest-path').text('—');
-                $('#shortest-path-stat .hover-icon').css('display', 'none');
-            }
-            
-            if (this.longestPath) {
-                $('#longest-path').text(this.longestPath.length);
-                $('#longest-path-stat .hover-icon').css('display', 'inline-block');
-            } else {
-                $('#longest-path').text('—');
-                $('#longest-path-stat .hover-icon').css('display', 'none');
-            }
-        } else {
-            $('#shortest-path').text('—');
-            $('#longest-path').text('—');
-            $('#shortest-path-stat .hover-icon').css('display', 'none');
-            $('#longest-path-stat .hover-icon').css('display', 'none');
+    cachePathStats(key, longest) {
+        // Keep a handful of finished results so undo/redo doesn't repeat long searches
+        this.pathStatsCache.set(key, longest);
+        if (this.pathStatsCache.size > 20) {
+            this.pathStatsCache.delete(this.pathStatsCache.keys().next().value);
         }
     }
     
     renderCells() {
         const board = $('#game-board');
+        const cellSize = this.getCellSize();
         
         // Only clear and rebuild grid cells if needed (on first render or resize)
         // Check if we need to rebuild by comparing cell count
         const expectedCells = this.width * this.height;
         const currentCells = board.find('.grid-cell').length;
         
-        if (currentCells !== expectedCells) {
+        if (currentCells !== expectedCells || board.attr('data-columns') !== String(this.width)) {
             // Rebuild grid
             board.find('.grid-cell').remove();
             
-            const cellSize = this.getCellSize();
-            
             // Ensure grid-template-columns is set
             board.css('grid-template-columns', `repeat(${this.width}, ${cellSize}px)`);
+            board.attr('data-columns', this.width);
             
-            // Create grid cells (static background)
+            // Create grid cells (their look is filled in by updateCells)
             for (let y = 0; y < this.height; y++) {
                 for (let x = 0; x < this.width; x++) {
                     const cell = $('<div class="grid-cell"></div>');
-                    // Set cell size dynamically
-                    cell.css({
-                        width: `${cellSize}px`,
-                        height: `${cellSize}px`,
-                        minWidth: `${cellSize}px`,
-                        minHeight: `${cellSize}px`,
-                        maxWidth: `${cellSize}px`,
-                        maxHeight: `${cellSize}px`,
-                        fontSize: `${Math.round(cellSize * 0.67)}px` // Scale font proportionally
-                    });
-                    
                     cell.attr('data-x', x);
                     cell.attr('data-y', y);
-                    
                     board.append(cell);
                 }
             }
+            
+            this.cellElements = board.find('.grid-cell').toArray();
+            this.cellStates = [];
+            this.boardState = null;
+            this.visitCountsShown = null; // Overlays went with the old cells
+            this.heatOverlaysShown = null;
         }
         
-        // Update cell states (corn/dirt, highlights, flags)
-        const cellSize = this.getCellSize();
-        const cells = board.find('.grid-cell');
+        // Player steps don't change any cell, so skip the cell pass unless something the cells show has changed
+        const boardState = {
+            revision: this.gridRevision,
+            cellSize,
+            mode: this.gameMode,
+            highlight: this.highlightedPath,
+            flagDrag: this.flagDrag ? JSON.stringify(this.flagDrag) : null,
+            followed: this.followedPlayer,
+            trail: this.followedPlayer ? this.followedPlayer.visited.size : 0,
+            haunts: this.gameMode === 'farmer' ? JSON.stringify(this.haunts) : null
+        };
+        const previous = this.boardState;
+        if (!previous || Object.keys(boardState).some(key => boardState[key] !== previous[key])) {
+            this.boardState = boardState;
+            board.css('grid-template-columns', `repeat(${this.width}, ${cellSize}px)`);
+            this.updateCells(cellSize);
+        }
+        this.updateHeatOverlays();
+        
+        // Render moving entities separately
+        this.renderEntities();
+    }
+    
+    // Update cell classes and content (corn/dirt, highlights, flags), touching only the cells whose look changed
+    updateCells(cellSize) {
+        const keyOf = (pos) => `${pos.x},${pos.y}`;
+        const highlighted = new Set((this.highlightedPath || []).map(keyOf));
+        const entrances = new Set(this.entrances.map(keyOf));
+        const exits = new Set(this.exits.map(keyOf));
+        
+        // Problems found by the validator are marked while farming
+        const invalidCells = new Set(this.gameMode === 'farmer' ?
+            this.getValidation().invalidCells.map(keyOf) : []);
+        
+        // Flag being dragged and the cell it would be dropped on
+        const drag = this.flagDrag;
+        const dragFrom = drag ? keyOf(drag.from) : null;
+        const dragTarget = drag && drag.target && keyOf(drag.target) !== dragFrom ? keyOf(drag.target) : null;
+        
+        // Cells the followed visitor has been to
+        const trail = this.followedPlayer ? this.followedPlayer.visited : new Set();
+        
+        // Haunts wait in their cells while farming; in player mode they roam as entities
+        const haunts = new Map(this.gameMode === 'farmer' ? this.haunts.map(haunt => [keyOf(haunt), haunt]) : []);
         
         for (let y = 0; y < this.height; y++) {
             for (let x = 0; x < this.width; x++) {
-                const cellIndex = y * this.width + x;
-                const cell = $(cells[cellIndex]);
+                const key = `${x},${y}`;
+                const classes = ['grid-cell'];
+                let content = '';
+                
+                if (entrances.has(key)) {
+                    // Entrance flag
+                    classes.push('dirt', 'start');
+                    content = '🚩';
+                } else if (exits.has(key)) {
+                    // Exit flag
+                    classes.push('dirt', 'finish');
+                    content = '🏁';
+                } else if (haunts.has(key)) {
+                    // Placed haunt
+                    classes.push('dirt', 'haunt');
+                    content = Haunt.getInfo(haunts.get(key).type).emoji;
+                } else if (this.grid[y][x] === 1) {
+                    // Dirt (plowed path)
+                    classes.push('dirt');
+                } else {
+                    // Corn
+                    classes.push('corn');
+                    content = '🌽';
+                }
+                
+                if (highlighted.has(key) && this.grid[y][x] === 1) classes.push('path-highlight');
+                if (trail.has(key)) classes.push('trail');
+                if (key === dragFrom) classes.push('flag-dragging');
+                if (key === dragTarget) classes.push(drag.isValid ? 'flag-target' : 'flag-target invalid');
+                if (invalidCells.has(key)) classes.push('invalid');
                 
-                // Clear previous classes and content
-                cell.attr('class', 'grid-cell');
-                cell.empty();
+                // Compare against what the cell currently shows
+                const index = y * this.width + x;
+                const state = `${classes.join(' ')}|${content}|${cellSize}`;
+                if (this.cellStates[index] === state) continue;
+                this.cellStates[index] = state;
                 
-                // Update cell size in case of resize
+                const cell = $(this.cellElements[index]);
+                const overlays = cell.children('.visit-count-overlay, .heat-overlay').detach(); // Keep counts and heat
+                cell.attr('class', classes.join(' ')).text(content).append(overlays);
                 cell.css({
                     width: `${cellSize}px`,
                     height: `${cellSize}px`,
@@ -1565,38 +3940,10 @@ class CornMazeGame {
                     minHeight: `${cellSize}px`,
                     maxWidth: `${cellSize}px`,
                     maxHeight: `${cellSize}px`,
-                    fontSize: `${Math.round(cellSize * 0.67)}px`
+                    fontSize: `${Math.round(cellSize * 0.67)}px` // Scale font proportionally
                 });
-                
-                // Check if this cell is part of the highlighted path
-                const isHighlighted = this.highlightedPath && 
-                    this.highlightedPath.some(p => p.x === x && p.y === y);
-                
-                // Render static elements (grid cells, flags)
-                if (this.startPosition && x === this.startPosition.x && y === this.startPosition.y) {
-                    // Start flag
-                    cell.addClass('dirt start');
-                    if (isHighlighted) cell.addClass('path-highlight');
-                    cell.text('🚩');
-                } else if (this.finishPosition && x === this.finishPosition.x && y === this.finishPosition.y) {
-                    // Finish flag
-                    cell.addClass('dirt finish');
-                    if (isHighlighted) cell.addClass('path-highlight');
-                    cell.text('🏁');
-                } else if (this.grid[y][x] === 1) {
-                    // Dirt (plowed path)
-                    cell.addClass('dirt');
-                    if (isHighlighted) cell.addClass('path-highlight');
-                } else {
-                    // Corn
-                    cell.addClass('corn');
-                    cell.text('🌽');
-                }
             }
         }
-        
-        // Render moving entities separately
-        this.renderEntities();
     }
     
     renderEntities() {
@@ -1619,63 +3966,70 @@ class CornMazeGame {
                 tractorEntity = $('<div class="moving-entity entity-tractor"></div>');
                 tractorEntity.text('🚜');
                 tractorWrapper.append(tractorEntity);
+                this.tractorState = null;
             } else {
                 // Get the existing tractor entity from the wrapper
                 tractorEntity = tractorWrapper.find('.entity-tractor');
             }
             
-            // Update tractor size and position
-            const pos = this.getPixelPosition(this.tractorPosition.x, this.tractorPosition.y);
-            
-            // Check if direction changed (rotation should be instant, not animated)
-            const directionChanged = this.tractorDirection !== this.previousTractorDirection;
-            
-            // Update wrapper position (translation - with smooth animation)
-            tractorWrapper.css({
-                width: `${pos.width}px`,
-                height: `${pos.height}px`,
-                transform: `translate(${pos.left}px, ${pos.top}px)`
-            });
-            
-            // Update tractor rotation (instant, no animation)
-            let rotationTransform = '';
-            switch(this.tractorDirection) {
-                case 'left':
-                    // Default orientation - tractor faces left
-                    break;
-                case 'right':
-                    // Flip horizontally to face right
-                    rotationTransform = 'scaleX(-1)';
-                    break;
-                case 'up':
-                    // Rotate clockwise to face up
-                    rotationTransform = 'rotate(90deg)';
-                    break;
-                case 'down':
-                    // Rotate counter-clockwise to face down
-                    rotationTransform = 'rotate(-90deg)';
-                    break;
-            }
-            
-            // Apply rotation instantly (no transition on rotation)
-            if (directionChanged) {
-                // Temporarily disable any transition on the entity
-                tractorEntity.css('transition', 'none');
-            }
-            
-            tractorEntity.css({
-                width: `${pos.width}px`,
-                height: `${pos.height}px`,
-                fontSize: `${Math.round(cellSize * 0.67)}px`,
-                transform: rotationTransform
-            });
-            
-            // Re-enable transition after rotation is applied
-            if (directionChanged) {
-                setTimeout(() => {
-                    tractorEntity.css('transition', '');
-                }, 10);
-                this.previousTractorDirection = this.tractorDirection;
+            // Only restyle the tractor when it has moved, turned or been resized
+            const tractorState = `${this.tractorPosition.x},${this.tractorPosition.y}|${this.tractorDirection}|${cellSize}`;
+            if (tractorState !== this.tractorState) {
+                this.tractorState = tractorState;
+                
+                // Update tractor size and position
+                const pos = this.getPixelPosition(this.tractorPosition.x, this.tractorPosition.y);
+                
+                // Check if direction changed (rotation should be instant, not animated)
+                const directionChanged = this.tractorDirection !== this.previousTractorDirection;
+                
+                // Update wrapper position (translation - with smooth animation)
+                tractorWrapper.css({
+                    width: `${pos.width}px`,
+                    height: `${pos.height}px`,
+                    transform: `translate(${pos.left}px, ${pos.top}px)`
+                });
+                
+                // Update tractor rotation (instant, no animation)
+                let rotationTransform = '';
+                switch(this.tractorDirection) {
+                    case 'left':
+                        // Default orientation - tractor faces left
+                        break;
+                    case 'right':
+                        // Flip horizontally to face right
+                        rotationTransform = 'scaleX(-1)';
+                        break;
+                    case 'up':
+                        // Rotate clockwise to face up
+                        rotationTransform = 'rotate(90deg)';
+                        break;
+                    case 'down':
+                        // Rotate counter-clockwise to face down
+                        rotationTransform = 'rotate(-90deg)';
+                        break;
+                }
+                
+                // Apply rotation instantly (no transition on rotation)
+                if (directionChanged) {
+                    // Temporarily disable any transition on the entity
+                    tractorEntity.css('transition', 'none');
+                }
+                
+                tractorEntity.css({
+                    width: `${pos.width}px`,
+                    height: `${pos.height}px`,
+                    fontSize: `${Math.round(cellSize * 0.67)}px`,
+                    transform: rotationTransform
+                });
+                
+                // Re-enable transition after rotation is applied
+                if (directionChanged) {
+                    setTimeout(() => {
+                        tractorEntity.css('transition', '');
+                    }, 10);
+                    this.previousTractorDirection = this.tractorDirection;
+                }
             }
             
             tractorWrapper.show();
@@ -1686,43 +4040,18 @@ class CornMazeGame {
         
         // Render players (in player mode)
         if (this.gameMode === 'player') {
-            // Remove old hover handlers
-            board.off('mouseenter', '.entity-player');
-            board.off('mouseleave', '.entity-player');
-            
-            // Get existing player entities
-            const existingEntities = board.find('.entity-player');
-            const entityMap = new Map();
-            
-            existingEntities.each((i, el) => {
-                const $el = $(el);
-                const playerId = $el.attr('data-player-id');
-                if (playerId) {
-                    entityMap.set(playerId, $el);
-                }
-            });
-            
-            // Track which entities are still active
-            const activeEntityIds = new Set();
-            
             // Update or create player entities
-            this.players.forEach((player, index) => {
+            this.players.forEach(player => {
                 // Skip removed players
                 if (player.isRemoved) {
                     return;
                 }
                 
-                const playerId = `player-${index}`;
-                activeEntityIds.add(playerId);
-                
-                let playerEntity = entityMap.get(playerId);
-                const isNewPlayer = !playerEntity;
+                let entry = this.playerEntities.get(player);
                 
-                if (!playerEntity) {
+                if (!entry) {
                     // Create new player entity
-                    playerEntity = $('<div class="moving-entity entity-player"></div>');
-                    playerEntity.attr('data-player-id', playerId);
-                    playerEntity.attr('data-player-index', index);
+                    const playerEntity = $('<div class="moving-entity entity-player"></div>');
                     
                     // Set initial position immediately without transition
                     const initialPos = this.getPixelPosition(player.position.x, player.position.y);
@@ -1734,34 +4063,56 @@ class CornMazeGame {
                         transition: 'none' // Disable transition for initial placement
                     });
                     
+                    // Show visit counts while hovered
+                    playerEntity.on('mouseenter', () => {
+                        this.hoveredPlayer = player;
+                        this.updateVisitCounts();
+                    });
+                    playerEntity.on('mouseleave', () => {
+                        this.hoveredPlayer = null;
+                        this.updateVisitCounts();
+                    });
+                    
                     board.append(playerEntity);
                     
                     // Re-enable transition after a brief delay
                     setTimeout(() => {
                         playerEntity.css('transition', '');
                     }, 10);
+                    
+                    entry = { element: playerEntity, state: null, thought: undefined, tooltip: null };
+                    this.playerEntities.set(player, entry);
                 }
                 
-                // Update player content
-                if (player.currentThought) {
-                    playerEntity.html(`
-                        <div class="player-container">
-                            <div class="thought-bubble">${player.currentThought}</div>
-                            <div class="player-emoji">${player.emoji}</div>
-                        </div>
-                    `);
-                } else {
-                    playerEntity.text(player.emoji);
+                const playerEntity = entry.element;
+                
+                // The tooltip shows the brain and the visitor's meters, which change as they walk
+                const tooltip = this.getPlayerTooltip(player);
+                if (tooltip !== entry.tooltip) {
+                    entry.tooltip = tooltip;
+                    playerEntity.attr('data-player-info', tooltip);
                 }
                 
-                // Update tooltip
-                playerEntity.attr('data-player-info', this.getPlayerTooltip(player));
+                // Update player content
+                if (player.currentThought !== entry.thought) {
+                    entry.thought = player.currentThought;
+                    if (player.currentThought) {
+                        // Built from elements, since replayed thoughts and emoji come from saved files
+                        playerEntity.empty().append($('<div class="player-container"></div>').append(
+                            $('<div class="thought-bubble"></div>').text(player.currentThought),
+                            $('<div class="player-emoji"></div>').text(player.emoji)
+                        ));
+                    } else {
+                        playerEntity.text(player.emoji);
+                    }
+                }
                 
-                // Update player size and position (only if not a new player)
-                if (!isNewPlayer) {
+                // Update player size and position when they have stepped (or the board was resized)
+                const state = `${player.position.x},${player.position.y}|${cellSize}`;
+                if (entry.state !== null && state !== entry.state) {
                     const pos = this.getPixelPosition(player.position.x, player.position.y);
                     // Adjust transition duration to match player's movement speed for continuous motion
-                    const transitionDuration = (player.brain.speed / this.playbackSpeed) / 1000; // Convert to seconds
+                    const transitionDuration = (player.getStepDuration() / this.playbackSpeed) / 1000; // Convert to seconds
                     playerEntity.css({
                         width: `${pos.width}px`,
                         height: `${pos.height}px`,
@@ -1770,34 +4121,96 @@ class CornMazeGame {
                         transition: `transform ${transitionDuration}s linear`
                     });
                 }
+                entry.state = state;
             });
             
-            // Remove entities for players that no longer exist
-            existingEntities.each((i, el) => {
-                const $el = $(el);
-                const playerId = $el.attr('data-player-id');
-                if (playerId && !activeEntityIds.has(playerId)) {
-                    $el.remove();
+            // Remove entities for players that have left
+            const activePlayers = new Set(this.players);
+            this.playerEntities.forEach((entry, player) => {
+                if (player.isRemoved || !activePlayers.has(player)) {
+                    entry.element.remove();
+                    this.playerEntities.delete(player);
                 }
             });
             
-            // Add hover handlers to show visit counts
-            board.on('mouseenter', '.entity-player', (e) => {
-                const playerEntity = $(e.currentTarget);
-                const playerIndex = parseInt(playerEntity.attr('data-player-index'));
-                const player = this.players[playerIndex];
-                
-                if (player && player.visitCounts) {
-                    this.showVisitCounts(player);
-                }
-            });
+            this.updateVisitCounts();
+            this.renderHaunts();
+        } else {
+            // Hide all player and haunt entities in farmer mode
+            board.find('.entity-player, .entity-haunt').remove();
+            this.playerEntities.clear();
+            this.hauntEntities.clear();
+            this.hoveredPlayer = null;
+            this.updateVisitCounts();
+        }
+    }
+    
+    // Move the simulation's haunts, gliding at their own pace between cells
+    renderHaunts() {
+        const board = $('#game-board');
+        const cellSize = this.getCellSize();
+        const haunts = this.activeHaunts;
+        
+        haunts.forEach(haunt => {
+            let entry = this.hauntEntities.get(haunt);
+            if (!entry) {
+                const element = $('<div class="moving-entity entity-haunt"></div>').text(haunt.emoji);
+                board.append(element);
+                entry = { element, state: null, scares: null };
+                this.hauntEntities.set(haunt, entry);
+            }
+            
+            if (haunt.scares !== entry.scares) {
+                entry.scares = haunt.scares;
+                entry.element.attr('data-player-info', this.getHauntTooltip(haunt));
+            }
+            
+            const state = `${haunt.position.x},${haunt.position.y}|${cellSize}`;
+            if (state === entry.state) return;
             
-            board.on('mouseleave', '.entity-player', () => {
-                this.hideVisitCounts();
+            // Place new haunts without a transition
+            const transitionDuration = (haunt.speed / this.playbackSpeed) / 1000;
+            const pos = this.getPixelPosition(haunt.position.x, haunt.position.y);
+            entry.element.css({
+                width: `${pos.width}px`,
+                height: `${pos.height}px`,
+                fontSize: `${Math.round(cellSize * 0.67)}px`,
+                transform: `translate(${pos.left}px, ${pos.top}px)`,
+                transition: entry.state === null ? 'none' : `transform ${transitionDuration}s linear`
             });
-        } else {
-            // Hide all player entities in farmer mode
-            board.find('.entity-player').remove();
+            entry.state = state;
+        });
+        
+        // Remove haunts left over from an earlier simulation
+        this.hauntEntities.forEach((entry, haunt) => {
+            if (!haunts.includes(haunt)) {
+                entry.element.remove();
+                this.hauntEntities.delete(haunt);
+            }
+        });
+    }
+    
+    getHauntTooltip(haunt) {
+        const description = `${haunt.name}\n${Haunt.getInfo(haunt.type).description}`;
+        // Replayed haunts don't know how many visitors they scared
+        return haunt.isReplay ? description : `${description}\n\nScares: ${haunt.scares}`;
+    }
+    
+    // Show the hovered visitor's visit counts, or else the followed visitor's (pinned while following)
+    updateVisitCounts() {
+        const hovered = this.hoveredPlayer && !this.hoveredPlayer.isRemoved ? this.hoveredPlayer : null;
+        const player = hovered || this.followedPlayer;
+        const shown = this.visitCountsShown;
+        
+        // Redraw only when the visitor changes or takes another step
+        if (shown ? (shown.player === player && shown.steps === player.path.length) : !player) {
+            return;
+        }
+        
+        this.visitCountsShown = player ? { player, steps: player.path.length } : null;
+        this.hideVisitCounts();
+        if (player) {
+            this.showVisitCounts(player);
         }
     }
     
@@ -1829,19 +4242,44 @@ class CornMazeGame {
     }
     
     render() {
+        // Following ends when the visitor leaves the maze
+        if (this.followedPlayer && (this.followedPlayer.isRemoved || !this.players.includes(this.followedPlayer))) {
+            this.stopFollowing();
+        }
+        
+        // Fields too large for the DOM board (loaded, imported or restored by undo) switch to the canvas
+        if (this.renderer === 'dom' && Math.max(this.width, this.height) > this.getMaxFieldSize('dom')) {
+            this.setRenderer('canvas');
+        }
+        
         // Update stats first (recalculates paths)
         this.updateStats();
         
         // Update toggle state in case maze completion status changed
         this.updateToggleState();
         
+        $('#scare-count').text(`😱 Scares: ${this.simulation ? this.simulation.scareCount : 0}`);
+        this.updateArrivalControls();
+        this.updateEconomy();
+        this.updateReviews();
+        this.updateResults();
+        this.updateReplayControls();
+        this.updateHeatmapLegend();
+        
         // If hovering over a stat, update the highlight with the newly calculated path
         if (this.hoveringStat) {
             this.updateHighlight();
         }
         
+        // Fit the view to the board and keep the tractor in sight
+        this.updateViewport();
+        
         // Render the cells
-        this.renderCells();
+        if (this.renderer === 'canvas') {
+            this.canvasRenderer.render();
+        } else {
+            this.renderCells();
+        }
     }
 }
 